@@ -0,0 +1,175 @@
+/**
+ * Budget Compressor
+ *
+ * Fits a prompt into a character or token budget (e.g. the 1500-char ChatGPT
+ * personalization box in examples/char-limited-demo.mjs). Strategies escalate
+ * until the kernel fits, and the result reports what each step gave up:
+ *
+ *   1. dictionary - Layer 1 dictionary compression
+ *   2. aggressive - also drop the dictionary's aggressive stopwords
+ *   3. normalize  - rewrite the English with an LLM first (needs a `normalize` callback)
+ *   4. drop       - drop the least important sentences until the kernel fits
+ *
+ * Usage:
+ *   import { compressToBudget } from './budget-compressor.mjs';
+ *   const { omega, budget } = compressToBudget(rules, { maxChars: 1500 });
+ *   console.log(budget.strategy, budget.sacrificed.sentences);
+ */
+
+import { countTokens } from './tokenizers.mjs';
+import { semanticCompress } from './dictionary-compressor.mjs';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MEASUREMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Size of a kernel: characters and o200k_base (GPT-4o) tokens
+function measure(omega) {
+  return { chars: omega.length, tokens: countTokens(omega) };
+}
+
+function fits(size, { maxChars, maxTokens }) {
+  return (maxChars === undefined || size.chars <= maxChars) &&
+    (maxTokens === undefined || size.tokens <= maxTokens);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTENCE PRIORITY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Score adjustments for sentences that match a cue. Rules and prohibitions are the
+// last thing to go; examples and soft preferences the first.
+const PRIORITY_CUES = [
+  [/^\s*#/, 4],                                                                // headings
+  [/\b(?:never|not|no|cannot|must)\b|n['’]t\b/i, 3],                           // prohibitions, obligations
+  [/\b(?:always|required?|important|critical|essential|only)\b/i, 2],
+  [/\byou are\b/i, 2],                                                         // role statement
+  [/\b(?:for example|for instance|e\.g\.|such as)\b/i, -2],
+  [/\b(?:optionally|if possible|ideally|consider|prefer)\b/i, -1]
+];
+
+/**
+ * Importance of a sentence (higher is kept longer)
+ * @param {string} sentence - One sentence or Markdown line
+ * @returns {number} Priority score
+ */
+export function scoreSentence(sentence) {
+  return PRIORITY_CUES.reduce((score, [cue, weight]) => score + (cue.test(sentence) ? weight : 0), 1);
+}
+
+/**
+ * Split text into droppable units: Markdown lines in markdown mode, otherwise
+ * sentences. Fenced code blocks are always one unit.
+ */
+function splitUnits(text, markdown) {
+  const units = [];
+  for (const part of text.split(/(```[\s\S]*?(?:```|$))/)) {
+    if (part.startsWith('```')) {
+      units.push(part);
+      continue;
+    }
+    for (const line of part.split(/\n/)) {
+      if (!line.trim()) continue;
+      units.push(...(markdown ? [line] : line.split(/(?<=[.!?])\s+/).filter(s => s.trim())));
+    }
+  }
+  return units;
+}
+
+// Rejoin the kept units, leaving out Markdown headings whose section is now empty
+function joinUnits(units, kept) {
+  const lines = units.filter((_, i) => kept.has(i));
+  const isHeading = line => /^\s*#/.test(line);
+  return lines.filter((line, i) => !isHeading(line) || (i + 1 < lines.length && !isHeading(lines[i + 1]))).join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUDGET COMPRESSION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compress English to fit a character and/or token budget
+ * @param {string} spec - English input
+ * @param {Object} options - semanticCompress options (dictionaries, header, markdown) plus:
+ * @param {number} options.maxChars - Maximum kernel length in characters
+ * @param {number} options.maxTokens - Maximum kernel length in o200k_base tokens
+ * @param {Function} options.normalize - Optional (text) => text rewrite, e.g. LLM
+ *   normalization; the step is skipped without it
+ * @returns {{ omega: string, stats: Object, dictionary: Object, elapsed: number, budget: Object }}
+ *   `budget` has the limits, whether the kernel `fits`, the `strategy` that got it
+ *   there, every step tried with its size, and what was `sacrificed`: dropped
+ *   stopwords, whether the text was normalized, and the sentences dropped
+ */
+export function compressToBudget(spec, options = {}) {
+  const { maxChars, maxTokens, normalize, ...compressOptions } = options;
+  const limits = { maxChars, maxTokens };
+  const start = Date.now();
+  const steps = [];
+  const sacrificed = { stopwords: [], normalized: false, sentences: [] };
+
+  const run = (strategy, text, aggressive) => {
+    const result = semanticCompress(text, { ...compressOptions, aggressive });
+    return { result, size: measure(result.omega), strategy };
+  };
+  const attempt = (strategy, text, aggressive) => {
+    const outcome = run(strategy, text, aggressive);
+    steps.push({ strategy, ...outcome.size });
+    return outcome;
+  };
+
+  let text = spec;
+  let best = attempt('dictionary', text, false);
+
+  if (!fits(best.size, limits)) {
+    best = attempt('aggressive', text, true);
+  }
+
+  if (!fits(best.size, limits) && normalize) {
+    text = normalize(text);
+    sacrificed.normalized = true;
+    best = attempt('normalize', text, true);
+  }
+
+  if (!fits(best.size, limits)) {
+    const units = splitUnits(text, compressOptions.markdown);
+    // Least important first; among equals, later sentences go first
+    const order = units
+      .map((unit, index) => ({ index, score: scoreSentence(unit) }))
+      .sort((a, b) => a.score - b.score || b.index - a.index);
+    const kept = new Set(units.map((_, index) => index));
+
+    for (const { index } of order) {
+      if (kept.size === 1 || fits(best.size, limits)) break;
+      kept.delete(index);
+      sacrificed.sentences.push(units[index]);
+      best = run('drop', joinUnits(units, kept), true);
+    }
+    steps.push({ strategy: 'drop', ...best.size, dropped: sacrificed.sentences.length });
+  }
+  sacrificed.stopwords = best.result.removed || [];
+
+  const { omega, stats, dictionary } = best.result;
+  return {
+    omega,
+    stats: {
+      ...stats,
+      originalChars: spec.length,
+      charRatio: omega.length > 0 ? Math.round(spec.length / omega.length * 10) / 10 : 0
+    },
+    dictionary,
+    elapsed: Date.now() - start,
+    budget: {
+      ...limits,
+      ...best.size,
+      fits: fits(best.size, limits),
+      strategy: best.strategy,
+      steps,
+      sacrificed
+    }
+  };
+}
+
+export default {
+  compressToBudget,
+  scoreSentence
+};
@@ -0,0 +1,972 @@
+/**
+ * Dictionary Compressor
+ *
+ * Layer 1 of the Omega spec: deterministic English → Ω核 compression driven by
+ * dictionary.json, plus the reverse expansion used to audit kernels.
+ * The dictionary is validated against the schema named in its `$schema` field
+ * before it is used, so the file SPEC.md calls canonical is the one that runs.
+ *
+ * Usage:
+ *   import { semanticCompress, decompress } from './dictionary-compressor.mjs';
+ *   const { omega } = semanticCompress('You are a helpful assistant');
+ *   const { english, tokens } = decompress(omega);
+ *
+ * Kernels can carry a compact dictionary header (Ω核[base@1.0.0#1a2b3c4d]:) so a
+ * receiver with a different dictionary refuses to decode instead of mis-decoding.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { utf8Bytes, gzipBytes } from './tokenizers.mjs';
+
+const DEFAULT_DICTIONARY_URL = new URL('../dictionary.json', import.meta.url);
+
+const KERNEL_PREFIX = 'Ω核:';
+
+// Ω核: or Ω核[base@1.0.0+k8s@1.0.0#1a2b3c4d]: (also LLM variants such as ΩCoder核:)
+const KERNEL_PREFIX_PATTERN = /^Ω[^:：\s\[]*核(?:\[([^\]]*)\])?[:：]\s*/;
+
+// Hex digits of the stack hash carried in the compact header
+const HEADER_HASH_LENGTH = 8;
+
+// Kernel punctuation (mostly from LLM-compiled kernels) and its English rendering
+const KERNEL_PUNCTUATION = {
+  '。': '.', '，': ',', '；': ';', '：': ':', ';': ';', ':': ':'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEMA VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const JSON_TYPES = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  boolean: v => typeof v === 'boolean',
+  number: v => typeof v === 'number'
+};
+
+/**
+ * Validate a value against the JSON Schema subset used by dictionary.schema.json
+ * (type, required, properties, additionalProperties, items, minLength, pattern, $ref).
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (or sub-schema) to validate against
+ * @param {Object} root - Root schema used to resolve `#/$defs/...` references
+ * @param {string} path - JSON pointer of `value`, used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+function validateSchema(value, schema, root = schema, path = '') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    if (!target) return [`${path || '/'}: unresolvable $ref ${schema.$ref}`];
+    return validateSchema(value, target, root, path);
+  }
+
+  const errors = [];
+  const at = path || '/';
+
+  if (schema.type && !JSON_TYPES[schema.type](value)) {
+    return [`${at}: expected ${schema.type}`];
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must not be shorter than ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${at}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, `${path}/${i}`)));
+  }
+
+  if (JSON_TYPES.object(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}/${key}`;
+      if (schema.properties && key in schema.properties) {
+        errors.push(...validateSchema(child, schema.properties[key], root, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath}: unknown property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, root, childPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a dictionary object against a schema
+ * @param {Object} dictionary - Parsed dictionary JSON
+ * @param {Object} schema - Parsed dictionary schema
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateDictionary(dictionary, schema) {
+  const errors = validateSchema(dictionary, schema);
+  return { valid: errors.length === 0, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DICTIONARY LOADING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Drop `_comment` style keys from a flat mapping
+function stripComments(mapping = {}) {
+  return Object.fromEntries(Object.entries(mapping).filter(([key]) => !key.startsWith('_')));
+}
+
+// Flatten { category: { english: omega } } into one map, skipping _comment keys
+function flattenCategories(categories = {}) {
+  const flat = {};
+  for (const [category, entries] of Object.entries(categories)) {
+    if (category.startsWith('_')) continue;
+    Object.assign(flat, entries);
+  }
+  return flat;
+}
+
+/**
+ * Build the lookup tables the compressor and decompressor run on
+ * @param {Object} dictionary - A validated dictionary object
+ * @returns {Object} Compiled dictionary
+ */
+export function compileDictionary(dictionary) {
+  const phrases = flattenCategories(dictionary.phrases);
+  const words = flattenCategories(dictionary.words);
+
+  // Operator patterns, applied in dictionary order
+  const symbolPatterns = [];
+  const expansions = {};
+  for (const [symbol, def] of Object.entries(dictionary.symbols || {})) {
+    for (const pattern of def.patterns || []) symbolPatterns.push([pattern, symbol]);
+    if (def.expansion) expansions[symbol] = def.expansion;
+  }
+
+  const negations = stripComments(dictionary.negations);
+  const canonical = stripComments(dictionary.canonical);
+
+  return {
+    name: dictionary.name,
+    version: dictionary.version,
+    phrases,
+    words,
+    negations,
+    symbolPatterns,
+    expansions,
+    canonical,
+    stopwords: [...(dictionary.stopwords || [])],
+    aggressiveStopwords: [...(dictionary.aggressiveStopwords || [])],
+    preserve: [...(dictionary.preserve || [])],
+    reverse: buildReverseMap(phrases, words, negations, expansions, canonical)
+  };
+}
+
+const schemaCache = new Map();
+
+function readSchema(url) {
+  if (!schemaCache.has(url.href)) {
+    schemaCache.set(url.href, JSON.parse(readFileSync(url, 'utf-8')));
+  }
+  return schemaCache.get(url.href);
+}
+
+// Validate a parsed dictionary against the local schema its $schema names
+function checkDictionary(dictionary, baseUrl, label) {
+  if (!dictionary.$schema || /^[a-z]+:\/\//i.test(dictionary.$schema)) {
+    throw new Error(`Dictionary ${label} must reference a local schema in $schema`);
+  }
+  const { valid, errors } = validateDictionary(dictionary, readSchema(new URL(dictionary.$schema, baseUrl)));
+  if (!valid) {
+    throw new Error(`Invalid dictionary ${label}:\n  ${errors.join('\n  ')}`);
+  }
+  return dictionary;
+}
+
+/**
+ * Read and validate a dictionary file without compiling it
+ * @param {string|URL} path - Path to the dictionary JSON
+ * @returns {Object} The validated dictionary object
+ * @throws {Error} If the dictionary has no local $schema or does not validate against it
+ */
+export function readDictionary(path) {
+  const url = path instanceof URL ? path : pathToFileURL(resolve(path));
+  return checkDictionary(JSON.parse(readFileSync(url, 'utf-8')), url, url.pathname);
+}
+
+/**
+ * Load, validate and compile a dictionary file
+ * @param {string|URL} path - Path to the dictionary JSON (default: dictionary.json)
+ * @returns {Object} Compiled dictionary
+ */
+export function loadDictionary(path = DEFAULT_DICTIONARY_URL) {
+  return compileDictionary(readDictionary(path));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FINGERPRINTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// JSON with sorted keys, so the hash ignores formatting and key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+/**
+ * Fingerprint a dictionary object: name, version and a content hash
+ * @param {Object} dictionary - Validated dictionary object
+ * @returns {{ name: string, version: string, hash: string }}
+ */
+export function fingerprintDictionary(dictionary) {
+  return { name: dictionary.name, version: dictionary.version, hash: `sha256:${sha256(canonicalJson(dictionary))}` };
+}
+
+// Fingerprint of a precedence-ordered stack of layer fingerprints
+function fingerprintStack(layers) {
+  if (layers.length === 1) return { ...layers[0] };
+  return {
+    name: layers.map(l => l.name).join('+'),
+    version: layers.map(l => l.version).join('+'),
+    hash: `sha256:${sha256(layers.map(l => l.hash).join('\n'))}`,
+    layers
+  };
+}
+
+/**
+ * Build the Ω核 prefix for a kernel, optionally with the compact dictionary header
+ * @param {Object} fingerprint - Dictionary fingerprint (from a compiled dictionary)
+ * @param {boolean} header - Whether to embed the header
+ * @returns {string} e.g. 'Ω核:' or 'Ω核[base@1.0.0#1a2b3c4d]:'
+ */
+export function formatKernelPrefix(fingerprint, header = true) {
+  if (!header || !fingerprint) return KERNEL_PREFIX;
+  const layers = fingerprint.layers || [fingerprint];
+  const hash = fingerprint.hash.replace(/^sha256:/, '').slice(0, HEADER_HASH_LENGTH);
+  return `Ω核[${layers.map(l => `${l.name}@${l.version}`).join('+')}#${hash}]:`;
+}
+
+/**
+ * Read the compact dictionary header from a kernel
+ * @param {string} omega - Kernel text
+ * @returns {{ layers: { name: string, version: string }[], hash: string } | null}
+ */
+export function parseKernelHeader(omega) {
+  const header = omega.trim().match(KERNEL_PREFIX_PATTERN)?.[1];
+  if (!header) return null;
+  const [stack, hash = ''] = header.split('#');
+  const layers = stack.split('+').map(layer => {
+    const [name, version = ''] = layer.split('@');
+    return { name, version };
+  });
+  return { layers, hash };
+}
+
+/**
+ * Compare the fingerprint a kernel was encoded with against a local dictionary
+ * @param {Object} expected - Fingerprint from an envelope, or a parsed kernel header
+ * @param {Object} actual - Fingerprint of the local (compiled) dictionary
+ * @returns {{ match: boolean, problems: string[] }}
+ */
+export function checkFingerprint(expected, actual) {
+  const describe = layers => layers.map(l => `${l.name}@${l.version}`).join('+');
+  const expectedLayers = expected.layers || [expected];
+  const actualLayers = actual.layers || [actual];
+  const problems = [];
+
+  if (describe(expectedLayers) !== describe(actualLayers)) {
+    problems.push(`kernel was encoded with ${describe(expectedLayers)}, local dictionary is ${describe(actualLayers)}`);
+  } else {
+    const expectedHash = (expected.hash || '').replace(/^sha256:/, '');
+    const actualHash = actual.hash.replace(/^sha256:/, '');
+    if (expectedHash && !actualHash.startsWith(expectedHash)) {
+      problems.push(`dictionary content hash differs (kernel ${expectedHash.slice(0, HEADER_HASH_LENGTH)}, local ${actualHash.slice(0, HEADER_HASH_LENGTH)})`);
+    }
+  }
+  return { match: problems.length === 0, problems };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOMAIN DICTIONARIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const BASE_DICTIONARY = 'base';
+
+// Registered dictionaries by name: { dictionary, precedence }
+const registry = new Map();
+
+// Compiled stacks by 'name+name' key, cleared whenever the registry changes
+const resolvedStacks = new Map();
+
+function ensureBaseDictionary() {
+  if (!registry.has(BASE_DICTIONARY)) {
+    registry.set(BASE_DICTIONARY, { dictionary: readDictionary(DEFAULT_DICTIONARY_URL), precedence: 0 });
+  }
+}
+
+/**
+ * Register a domain dictionary that can be stacked on top of the base dictionary
+ * @param {string|URL|Object} source - Path to a dictionary file, or a dictionary object
+ *   (objects resolve a relative $schema against the repository root)
+ * @param {Object} options - Options
+ * @param {number} options.precedence - Overrides the dictionary's own `precedence`;
+ *   higher precedence wins when two dictionaries map the same phrase differently
+ * @returns {{ name: string, precedence: number }}
+ */
+export function registerDictionary(source, options = {}) {
+  ensureBaseDictionary();
+  const dictionary = typeof source === 'string' || source instanceof URL
+    ? readDictionary(source)
+    : checkDictionary(source, DEFAULT_DICTIONARY_URL, source.name || '(inline)');
+
+  if (!dictionary.name) {
+    throw new Error('Domain dictionaries must have a name');
+  }
+  const precedence = options.precedence ?? dictionary.precedence ?? 0;
+
+  registry.set(dictionary.name, { dictionary, precedence });
+  resolvedStacks.clear();
+  return { name: dictionary.name, precedence };
+}
+
+/**
+ * List registered dictionaries
+ * @returns {{ name: string, version: string, precedence: number, description?: string }[]}
+ */
+export function listDictionaries() {
+  ensureBaseDictionary();
+  return [...registry.entries()].map(([name, { dictionary, precedence }]) => ({
+    name, version: dictionary.version, precedence, description: dictionary.description
+  }));
+}
+
+// Phrases or words that two layers map to different symbols
+function findConflicts(layers) {
+  const conflicts = [];
+  const entriesOf = {
+    phrases: d => flattenCategories(d.phrases),
+    words: d => flattenCategories(d.words),
+    negations: d => stripComments(d.negations)
+  };
+  for (const [kind, entries] of Object.entries(entriesOf)) {
+    const byKey = new Map();
+    for (const { name, precedence, dictionary } of layers) {
+      for (const [english, omega] of Object.entries(entries(dictionary))) {
+        if (!byKey.has(english)) byKey.set(english, []);
+        byKey.get(english).push({ dictionary: name, omega, precedence });
+      }
+    }
+    for (const [english, candidates] of byKey) {
+      if (new Set(candidates.map(c => c.omega)).size < 2) continue;
+      const winner = candidates[candidates.length - 1];
+      conflicts.push({ kind: kind.slice(0, -1), english, candidates, winner: { dictionary: winner.dictionary, omega: winner.omega } });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Compile a stack of registered dictionaries into one dictionary.
+ * Layers are applied in ascending precedence (list order breaks ties), so the
+ * highest-precedence dictionary wins each conflicting phrase or word.
+ * @param {string[]} names - Registered dictionary names (default: ['base'])
+ * @returns {Object} Compiled dictionary with `layers` and `conflicts`
+ * @throws {Error} If a name is not registered
+ */
+export function resolveDictionaries(names = [BASE_DICTIONARY]) {
+  ensureBaseDictionary();
+  const key = names.join('+');
+  if (resolvedStacks.has(key)) return resolvedStacks.get(key);
+
+  const layers = names
+    .map((name, order) => {
+      const entry = registry.get(name);
+      if (!entry) throw new Error(`Unknown dictionary: ${name}`);
+      return { name, order, ...entry };
+    })
+    .sort((a, b) => a.precedence - b.precedence || a.order - b.order);
+
+  // Each layer becomes one category, so later (higher-precedence) layers overwrite earlier ones
+  const merged = { name: key, version: layers[0]?.dictionary.version, symbols: {}, phrases: {}, words: {}, negations: {}, canonical: {}, stopwords: [], aggressiveStopwords: [], preserve: [] };
+  for (const { name, dictionary } of layers) {
+    Object.assign(merged.symbols, dictionary.symbols);
+    merged.phrases[name] = flattenCategories(dictionary.phrases);
+    merged.words[name] = flattenCategories(dictionary.words);
+    Object.assign(merged.negations, dictionary.negations);
+    Object.assign(merged.canonical, dictionary.canonical);
+    for (const word of dictionary.stopwords || []) {
+      if (!merged.stopwords.includes(word)) merged.stopwords.push(word);
+    }
+    for (const list of ['aggressiveStopwords', 'preserve']) {
+      for (const word of dictionary[list] || []) {
+        if (!merged[list].includes(word)) merged[list].push(word);
+      }
+    }
+  }
+
+  const compiled = {
+    ...compileDictionary(merged),
+    layers: layers.map(({ name, precedence, dictionary }) => ({ name, version: dictionary.version, precedence })),
+    conflicts: findConflicts(layers),
+    fingerprint: fingerprintStack(layers.map(({ dictionary }) => fingerprintDictionary(dictionary)))
+  };
+  resolvedStacks.set(key, compiled);
+  return compiled;
+}
+
+/**
+ * Get the compiled default dictionary (dictionary.json), loading it on first use
+ */
+export function getDefaultDictionary() {
+  return resolveDictionaries([BASE_DICTIONARY]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROTECTED SPANS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Spans copied byte-for-byte into the kernel. Order matters: earlier patterns win
+// where they overlap (a URL inside inline code stays part of the code span).
+const PROTECTED_PATTERNS = {
+  fence: /```[\s\S]*?(?:```|$)/,
+  code: /`[^`\n]+`/,
+  // ASCII only, so a URL does not run into the kernel text that follows it
+  url: /\b[A-Za-z][A-Za-z0-9+.-]*:\/\/[^\s<>"'`\u0080-\uffff]*[^\s<>"'`\u0080-\uffff.,;:!?)\]]/,
+  quoted: /"[^"\n]*"|“[^”\n]*”|(?<!\w)'[^'\n]*'(?!\w)/,
+  variable: /\$\{?[A-Za-z_]\w*\}?/,
+  // /abs/path, ./rel, ~/home, or anything ending in a file extension (server.ts, lib/x.mjs)
+  path: /(?<![\w.\/~-])(?:~|\.{1,2})?\/[\w.@-]+(?:\/[\w.@-]+)*\/?|(?<![\w.\/-])[\w@-]+(?:[.\/][\w@-]+)*\.[A-Za-z][A-Za-z0-9]{1,7}(?![\w\/])/
+};
+
+// <keep>…</keep> marks a span by hand; the tags are dropped from the kernel
+const KEEP_PATTERN = /<keep>([\s\S]*?)<\/keep>/;
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Stands in for a protected span while the dictionary pass runs. It is not a word
+// character, punctuation or whitespace, so no stage matches, drops or moves it. The
+// same character in the input is protected as a span itself, so each placeholder in
+// the masked text stands for exactly one span.
+const PROTECTED_PLACEHOLDER = '\uE000';
+
+// Span patterns depend on the dictionary's `preserve` list, so they are built per dictionary
+const spanPatternCache = new WeakMap();
+
+/**
+ * Build the protected-span patterns for a dictionary.
+ * `preserve` entries (acronyms, proper nouns) match case-sensitively as whole words,
+ * so 'IT' stays while 'it' is still a stopword.
+ * @returns {{ text: RegExp, kernel: RegExp }} Patterns for English input (including
+ *   <keep>) and for kernels (without: the tags are gone by then)
+ */
+function getSpanPatterns(dictionary) {
+  if (!spanPatternCache.has(dictionary)) {
+    const sources = Object.values(PROTECTED_PATTERNS).map(p => p.source);
+    const preserve = [...(dictionary.preserve || [])].sort((a, b) => b.length - a.length);
+    if (preserve.length > 0) sources.push(`(?<!\\w)(?:${preserve.map(escapeRegExp).join('|')})(?!\\w)`);
+    spanPatternCache.set(dictionary, {
+      text: new RegExp([KEEP_PATTERN.source, PROTECTED_PLACEHOLDER, ...sources].join('|'), 'g'),
+      kernel: new RegExp(sources.join('|'), 'y')
+    });
+  }
+  return spanPatternCache.get(dictionary);
+}
+
+/**
+ * Swap protected spans for placeholders
+ * @returns {{ masked: string, spans: string[] }} The masked text and the spans in order
+ */
+function protectSpans(text, dictionary) {
+  const spans = [];
+  const masked = text.replace(getSpanPatterns(dictionary).text, (match, kept) => {
+    spans.push(kept ?? match);
+    return PROTECTED_PLACEHOLDER;
+  });
+  return { masked, spans };
+}
+
+function restoreSpans(text, spans) {
+  let next = 0;
+  return text.replace(new RegExp(PROTECTED_PLACEHOLDER, 'g'), () => spans[next++]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPRESSION (English → Ω核)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Match priority when entries of different kinds have the same length
+const MATCH_PRIORITY = { negation: 4, symbol: 3, phrase: 2, word: 1, stopword: 0, filler: 0 };
+
+// Same character class as \w / \b, without a regex test per character
+const isAsciiWordChar = ch => {
+  if (!ch) return false;
+  const c = ch.charCodeAt(0);
+  return (c >= 97 && c <= 122) || (c >= 65 && c <= 90) || (c >= 48 && c <= 57) || c === 95;
+};
+
+// Matchers are built once per compiled dictionary and mode (stacks are cached by
+// resolveDictionaries)
+const matcherCache = new WeakMap();
+
+/**
+ * Build a character trie over every negation, symbol pattern, phrase, word and stopword
+ * (plus the aggressive stopwords, as 'filler', in aggressive mode).
+ * A key claimed by several kinds keeps the highest-priority one, so the result
+ * does not depend on the order of the dictionary maps.
+ */
+function buildMatcher(dictionary, aggressive) {
+  const root = new Map();
+  const insert = (key, output, kind) => {
+    let node = root;
+    for (const ch of key.toLowerCase()) {
+      if (!node.has(ch)) node.set(ch, new Map());
+      node = node.get(ch);
+    }
+    const current = node.entry;
+    if (current && MATCH_PRIORITY[current.kind] >= MATCH_PRIORITY[kind]) return;
+    node.entry = {
+      output,
+      kind,
+      // Negations, phrases, words and stopwords are whole-word matches; operator patterns
+      // only need a boundary where they start or end on a word character
+      boundaryStart: kind !== 'symbol' || isAsciiWordChar(key[0]),
+      boundaryEnd: kind !== 'symbol' || isAsciiWordChar(key[key.length - 1])
+    };
+  };
+
+  for (const [pattern, symbol] of dictionary.symbolPatterns) insert(pattern, symbol, 'symbol');
+  for (const [english, symbol] of Object.entries(dictionary.phrases)) insert(english, symbol, 'phrase');
+  for (const [english, symbol] of Object.entries(dictionary.words)) insert(english, symbol, 'word');
+  for (const stopword of dictionary.stopwords) insert(stopword, '', 'stopword');
+  if (aggressive) {
+    for (const filler of dictionary.aggressiveStopwords || []) insert(filler, '', 'filler');
+  }
+  for (const [english, symbol] of Object.entries(dictionary.negations || {})) insert(english, symbol, 'negation');
+  return root;
+}
+
+function getMatcher(dictionary, aggressive = false) {
+  if (!matcherCache.has(dictionary)) matcherCache.set(dictionary, {});
+  const matchers = matcherCache.get(dictionary);
+  const mode = aggressive ? 'aggressive' : 'standard';
+  if (!matchers[mode]) matchers[mode] = buildMatcher(dictionary, aggressive);
+  return matchers[mode];
+}
+
+// Lowercase text (and curly apostrophes) without changing its length, so indexes
+// line up with the original
+function foldCase(text) {
+  const lower = text.toLowerCase().replace(/’/g, "'");
+  if (lower.length === text.length) return lower;
+  let folded = '';
+  for (const ch of text) {
+    const l = ch.toLowerCase();
+    folded += l.length === ch.length ? l : ch;
+  }
+  return folded.replace(/’/g, "'");
+}
+
+/**
+ * Split text into dictionary matches and literal runs in a single left-to-right pass.
+ * At each position the longest entry wins; literal words are consumed whole so no
+ * entry ever matches inside a word or inside text that has already been replaced.
+ * Lookups are case-insensitive, but segments carry the original text, so unmatched
+ * words keep their case.
+ * @param {boolean} aggressive - Also drop the dictionary's aggressive stopwords
+ * @returns {Object[]} Segments: { text, output, kind } with kind negation, symbol, phrase,
+ *   word, stopword, filler or literal
+ */
+function tokenize(text, dictionary, aggressive = false) {
+  const root = getMatcher(dictionary, aggressive);
+  const folded = foldCase(text);
+  const segments = [];
+  let literal = '';
+  const flush = () => {
+    if (literal) segments.push({ text: literal, output: literal, kind: 'literal' });
+    literal = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const atWordStart = !isAsciiWordChar(text[i - 1]);
+    let best = null;
+    let bestEnd = i;
+    let node = root;
+    for (let j = i; j < text.length; j++) {
+      node = node.get(folded[j]);
+      if (!node) break;
+      const entry = node.entry;
+      if (!entry) continue;
+      if (entry.boundaryStart && !atWordStart) continue;
+      if (entry.boundaryEnd && isAsciiWordChar(text[j + 1])) continue;
+      best = entry;
+      bestEnd = j + 1;
+    }
+
+    if (best) {
+      flush();
+      segments.push({ text: text.slice(i, bestEnd), output: best.output, kind: best.kind });
+      i = bestEnd;
+      continue;
+    }
+
+    // No match: take the rest of the word (or a single non-word character) as literal
+    let end = i + 1;
+    if (isAsciiWordChar(text[i])) {
+      while (end < text.length && isAsciiWordChar(text[end])) end++;
+    }
+    literal += text.slice(i, end);
+    i = end;
+  }
+  flush();
+  return segments;
+}
+
+// Kernel symbols that carry a negation (不 covers entries such as 'don't know' → 不知)
+const NEGATION_SYMBOLS = /[¬勿禁不無非否]/;
+
+// English negation cues: the words themselves and any n't contraction
+const NEGATION_CUE = /\b(?:not|never|no|nor|cannot)\b|n['’]t\b/i;
+
+/**
+ * Make sure every negation cue in the input reaches the kernel as a symbol.
+ * The dictionary's `negations` normally catch them; this covers the rest: entries
+ * whose symbol drops the negation, and cues the dictionary does not list ("oughtn't").
+ * Dropping a "not" flips the meaning of a rule, so this stage never trusts the maps.
+ */
+function enforceNegations(segments) {
+  for (const segment of segments) {
+    if (segment.kind === 'negation') continue;
+    if (segment.kind === 'literal') {
+      segment.output = segment.output
+        .replace(/\b(\w+)n['’]t\b/gi, '¬$1')
+        .replace(/\b(?:not|never|no|nor|cannot)\b/gi, cue => (cue.toLowerCase() === 'never' ? '禁' : '¬'));
+    } else if (NEGATION_CUE.test(segment.text) && !NEGATION_SYMBOLS.test(segment.output)) {
+      segment.output = '¬' + segment.output;
+    }
+  }
+  return segments;
+}
+
+// Compress a run of (masked) text into a single kernel line.
+// `mode.removed` collects the aggressive stopwords dropped in aggressive mode.
+function compressText(text, dictionary, mode = {}) {
+  // One case-insensitive longest-match pass, then the negation safety net
+  const segments = enforceNegations(tokenize(text, dictionary, mode.aggressive));
+  for (const s of segments) {
+    if (s.kind === 'filler') mode.removed?.add(s.text.toLowerCase());
+  }
+  let omega = segments.map(s => s.output).join('');
+
+  // Clean up
+  omega = omega.replace(/[,.:;!?()[\]{}'"]/g, '·');  // Punctuation to separator
+  // Remove whitespace, but keep a space between a protected span and a neighbour that is
+  // not a separator: `config.json https://…` glued together could not be split apart again
+  omega = omega.replace(/\s+/g, (ws, at, s) => {
+    const before = s[at - 1], after = s[at + ws.length];
+    const bordersSpan = before === PROTECTED_PLACEHOLDER || after === PROTECTED_PLACEHOLDER;
+    return bordersSpan && before && after && before !== '·' && after !== '·' ? ' ' : '';
+  });
+  omega = omega.replace(/·+/g, '·');  // Collapse multiple separators
+  omega = omega.replace(/^·|·$/g, '');  // Trim separators
+  return omega;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MARKDOWN MODE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MARKDOWN_LIST_ITEM = /^(\s*)(?:[-*+]|(\d+)[.)])\s+(.*)$/;
+const MARKDOWN_RULE = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const MARKDOWN_BOLD_LABEL = /^\*\*(.+?):?\*\*:?\s*(.*)$/;
+
+// Compress one line of Markdown content; a leading bold label becomes "Label:"
+function compressMarkdownText(text, dictionary, mode) {
+  const label = text.match(MARKDOWN_BOLD_LABEL);
+  const unstyle = t => t.replace(/\*\*/g, '').replace(/(?<!\w)\*(?!\s)([^*]+?)\*(?!\w)/g, '$1');
+  if (label) {
+    return compressText(unstyle(label[1]), dictionary, mode) + ':' + compressText(unstyle(label[2]), dictionary, mode);
+  }
+  return compressText(unstyle(text), dictionary, mode);
+}
+
+/**
+ * Compress Markdown line by line, keeping its structure as compact Omega:
+ * headings become § (one per level below the top heading level), list items •
+ * indented one space per nesting level, numbered items keep their number, and
+ * line breaks survive. Blank lines and horizontal rules are dropped.
+ */
+function compressMarkdown(text, dictionary, mode) {
+  const lines = text.replace(/\t/g, '    ').split(/\r?\n/);
+  const levels = lines.map(l => l.match(MARKDOWN_HEADING)?.[1].length).filter(Boolean);
+  const topLevel = Math.min(...levels);
+  const out = [];
+  let indents = [];
+
+  for (const line of lines) {
+    if (!line.trim() || MARKDOWN_RULE.test(line)) continue;
+
+    const heading = line.match(MARKDOWN_HEADING);
+    if (heading) {
+      indents = [];
+      out.push('§'.repeat(heading[1].length - topLevel + 1) + compressMarkdownText(heading[2], dictionary, mode));
+      continue;
+    }
+
+    const item = line.match(MARKDOWN_LIST_ITEM);
+    if (item) {
+      const [, indent, number, content] = item;
+      while (indents.length > 0 && indents[indents.length - 1] > indent.length) indents.pop();
+      if (indents.length === 0 || indents[indents.length - 1] < indent.length) indents.push(indent.length);
+      const marker = number ? `${number}.` : '•';
+      out.push(' '.repeat(indents.length - 1) + marker + compressMarkdownText(content, dictionary, mode));
+      continue;
+    }
+
+    indents = [];
+    out.push(compressMarkdownText(line.trim(), dictionary, mode));
+  }
+  return out.filter(line => line.trim()).join('\n');
+}
+
+/**
+ * Layer 1 dictionary compression
+ * @param {string} spec - English input
+ * @param {Object} options - Options
+ * @param {string[]} options.dictionaries - Registered dictionaries to stack (default: ['base'])
+ * @param {Object} options.dictionary - Compiled dictionary (overrides `dictionaries`)
+ * @param {boolean} options.header - Embed the compact dictionary header in the Ω核 prefix
+ * @param {boolean} options.markdown - Keep Markdown structure (headings, lists, line breaks)
+ * @param {boolean} options.aggressive - Also drop the dictionary's `aggressiveStopwords`
+ *   (lossy; the result lists the words it dropped under `removed`)
+ * @returns {{ omega: string, stats: Object, dictionary: Object, elapsed: number, removed?: string[] }}
+ */
+export function semanticCompress(spec, options = {}) {
+  const {
+    dictionaries,
+    dictionary = resolveDictionaries(dictionaries),
+    header = false,
+    markdown = false,
+    aggressive = false
+  } = options;
+  const start = Date.now();
+  const mode = { aggressive, removed: new Set() };
+
+  // Code, URLs, paths, variables, quoted strings and preserved names sit out the dictionary pass
+  const { masked, spans } = protectSpans(spec, dictionary);
+
+  let omega = markdown ? compressMarkdown(masked, dictionary, mode) : compressText(masked, dictionary, mode);
+  omega = restoreSpans(omega, spans);
+  omega = formatKernelPrefix(dictionary.fingerprint, header) + omega;
+
+  // Calculate compression stats (Chinese characters are 3 bytes in UTF-8)
+  const originalBytes = utf8Bytes(spec);
+  const omegaGzipBytes = gzipBytes(omega);
+
+  const stats = {
+    originalChars: spec.length,
+    compressedChars: omega.length,
+    charRatio: omega.length > 0 ? Math.round(spec.length / omega.length * 10) / 10 : 0,
+    // Byte-level stats (measured)
+    originalBytes,
+    omegaBytes: utf8Bytes(omega),
+    gzipBytes: omegaGzipBytes,
+    totalRatio: omegaGzipBytes > 0 ? Math.round(originalBytes / omegaGzipBytes * 10) / 10 : 0
+  };
+
+  return {
+    omega,
+    stats,
+    dictionary: dictionary.fingerprint,
+    elapsed: Date.now() - start,
+    ...(aggressive ? { removed: [...mode.removed] } : {})
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DECOMPRESSION (Ω核 → English)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Invert the phrase, word and negation maps.
+ * Several entries can collapse onto one symbol ('you are a', 'you are an', 'you are' → 你為).
+ * The canonical English is the word-map form if there is one, else the shortest phrase
+ * (or negation);
+ * the dictionary's `canonical` section overrides symbols where that rule reads badly.
+ */
+function buildReverseMap(phrases, words, negations, expansions, canonical) {
+  const candidates = new Map();
+  const collect = (map, kind) => {
+    for (const [english, symbol] of Object.entries(map)) {
+      if (!candidates.has(symbol)) candidates.set(symbol, { phrases: [], words: [], negations: [] });
+      candidates.get(symbol)[kind].push(english);
+    }
+  };
+  collect(phrases, 'phrases');
+  collect(words, 'words');
+  collect(negations, 'negations');
+
+  const reverse = new Map();
+  for (const [symbol, { phrases: p, words: w, negations: n }] of candidates) {
+    const pool = w.length > 0 ? w : p.length > 0 ? p : n;
+    const shortest = pool.reduce((best, e) => (e.length < best.length ? e : best));
+    const english = canonical[symbol] || shortest;
+    const source = w.includes(english) ? 'word' : p.includes(english) ? 'phrase' : 'negation';
+    reverse.set(symbol, { english, source, alternatives: [...w, ...p, ...n].filter(e => e !== english) });
+  }
+  for (const [symbol, english] of Object.entries({ ...KERNEL_PUNCTUATION, ...expansions })) {
+    if (!reverse.has(symbol)) reverse.set(symbol, { english, source: 'symbol', alternatives: [] });
+  }
+  return reverse;
+}
+
+/**
+ * Expand an Ω核 kernel back into readable English
+ * @param {string} omega - Kernel text (with or without the Ω核: prefix)
+ * @param {Object} options - Options
+ * @param {string[]} options.dictionaries - Registered dictionaries to stack
+ *   (default: the stack named in the kernel header, else ['base'])
+ * @param {Object} options.dictionary - Compiled dictionary (overrides `dictionaries`)
+ * @param {Object} options.fingerprint - Fingerprint the kernel was encoded with (e.g. from
+ *   an envelope); defaults to the kernel's compact header when it has one
+ * @param {string} options.onMismatch - 'error' (default) refuses to decode, 'warn' decodes
+ *   and reports `warnings`, 'ignore' skips the check
+ * @returns {{ english: string, tokens: Object[], stats: Object, dictionary: Object, elapsed: number }}
+ *   `tokens` carries per-token provenance: the kernel text, its expansion, and the
+ *   source map (phrase, word, negation, symbol, protected or literal) plus any alternative English forms
+ * @throws {Error} On a dictionary mismatch when `onMismatch` is 'error'
+ */
+export function decompress(omega, options = {}) {
+  const header = parseKernelHeader(omega);
+  const negotiated = header && header.layers.every(l => listDictionaries().some(d => d.name === l.name))
+    ? header.layers.map(l => l.name)
+    : undefined;
+  const {
+    dictionaries = negotiated,
+    dictionary = resolveDictionaries(dictionaries),
+    fingerprint = header,
+    onMismatch = 'error'
+  } = options;
+
+  const warnings = [];
+  if (fingerprint && onMismatch !== 'ignore') {
+    const { match, problems } = checkFingerprint(fingerprint, dictionary.fingerprint);
+    if (!match && onMismatch === 'error') {
+      throw new Error(`Dictionary mismatch: ${problems.join('; ')}`);
+    }
+    warnings.push(...problems);
+  }
+
+  const { reverse } = dictionary;
+  const spanPatterns = getSpanPatterns(dictionary);
+  const start = Date.now();
+  const maxSymbolLength = Math.max(...[...reverse.keys()].map(k => k.length));
+  const body = omega.trim().replace(KERNEL_PREFIX_PATTERN, '');
+  const tokens = [];
+  // Tokens that open a kernel line (markdown mode), with the line's indentation
+  const lineStarts = new Map();
+  let indent = null;
+
+  let i = 0;
+  while (i < body.length) {
+    if (body[i] === '\n') { indent = ''; i++; continue; }
+    if (/\s/.test(body[i])) {
+      if (indent !== null && body[i] === ' ') indent += ' ';
+      i++;
+      continue;
+    }
+    if (indent !== null) {
+      lineStarts.set(tokens.length, indent);
+      indent = null;
+    }
+
+    // Code, URLs, paths, variables, quoted strings and preserved names were copied verbatim
+    spanPatterns.kernel.lastIndex = i;
+    const kept = spanPatterns.kernel.exec(body);
+    if (kept) {
+      tokens.push({ omega: kept[0], english: kept[0], source: 'protected', index: i });
+      i += kept[0].length;
+      continue;
+    }
+
+    // Longest reverse-dictionary match; ASCII symbols (PR, CI, API) only at word boundaries
+    let matched = '';
+    for (let len = Math.min(maxSymbolLength, body.length - i); len > 0; len--) {
+      const candidate = body.substr(i, len);
+      if (!reverse.has(candidate)) continue;
+      if (isAsciiWordChar(candidate[0]) && isAsciiWordChar(body[i - 1])) continue;
+      if (isAsciiWordChar(candidate[len - 1]) && isAsciiWordChar(body[i + len])) continue;
+      matched = candidate;
+      break;
+    }
+
+    if (matched) {
+      const entry = reverse.get(matched);
+      tokens.push({
+        omega: matched, english: entry.english, source: entry.source, index: i,
+        ...(entry.alternatives.length > 0 ? { alternatives: entry.alternatives } : {})
+      });
+      i += matched.length;
+      continue;
+    }
+
+    // Unknown content passes through: ASCII runs stay whole, anything else char by char
+    const run = isAsciiWordChar(body[i]) ? body.slice(i).match(/^[A-Za-z0-9_'\/.-]*[A-Za-z0-9_]/)[0] : body[i];
+    tokens.push({ omega: run, english: run, source: 'literal', index: i });
+    i += run.length;
+  }
+
+  // Join expansions with spaces; punctuation and brackets attach to their neighbours,
+  // and kernel line breaks are kept
+  let english = '';
+  tokens.forEach((t, k) => {
+    if (lineStarts.has(k)) english += '\n' + lineStarts.get(k) + t.english;
+    else if (english === '' || /^[,.;:」)\]]$/.test(t.english) || /[「(\[\n ]$/.test(english)) english += t.english;
+    else if (t.english === '#' && english.endsWith('#')) english += t.english;
+    else english += ' ' + t.english;
+  });
+  english = english.replace(/^[,.;:\s]+/, '').replace(/([,.;:])(?=[,.;:])/g, '').trim();
+
+  return {
+    english,
+    tokens,
+    stats: {
+      omegaChars: omega.length,
+      englishChars: english.length,
+      unknownTokens: tokens.filter(t => t.source === 'literal').length
+    },
+    dictionary: dictionary.fingerprint,
+    ...(warnings.length > 0 ? { warnings } : {}),
+    elapsed: Date.now() - start
+  };
+}
+
+export default {
+  loadDictionary,
+  readDictionary,
+  validateDictionary,
+  compileDictionary,
+  registerDictionary,
+  listDictionaries,
+  resolveDictionaries,
+  getDefaultDictionary,
+  fingerprintDictionary,
+  formatKernelPrefix,
+  parseKernelHeader,
+  checkFingerprint,
+  semanticCompress,
+  decompress
+};
@@ -0,0 +1,176 @@
+/**
+ * Omega Envelope
+ *
+ * The extended output format from SPEC.md §3: a JSON object carrying the kernel with
+ * its format version, the layers that produced it, the dictionary fingerprint and
+ * compression stats.
+ *
+ *   { "omega": "Ω核:…", "version": "1.0", "layers": ["dict", "gzip"],
+ *     "dictionary": { "name": "base", "version": "1.1.0", "hash": "sha256:…" },
+ *     "stats": { "originalChars": 332, "compressedChars": 76, "ratio": 4.4 } }
+ *
+ * `layers` lists the layers in the order they were applied. `llm` (Layer 2) and
+ * `dict` (Layer 1) describe how the kernel was made; transport layers (`gzip`,
+ * `brotli`, `deflate-raw`; see transport.mjs) are applied to the kernel's UTF-8
+ * bytes, and `omega` then holds the result in base64.
+ * Decoding reverses the transport layers and expands the kernel with the dictionary
+ * named in the envelope.
+ *
+ * Usage:
+ *   import { encodeEnvelope, decodeEnvelope } from './envelope.mjs';
+ *   const envelope = encodeEnvelope(semanticCompress(spec), { layers: ['dict', 'gzip'] });
+ *   const { omega, english } = decodeEnvelope(envelope);
+ */
+
+import { decompress, listDictionaries } from './dictionary-compressor.mjs';
+import { TRANSPORTS, parseTransport, encodeTransport, decodeTransport } from './transport.mjs';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LAYERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const ENVELOPE_VERSION = '1.0';
+
+// Layers that produce the kernel text (nothing to undo when decoding)
+const KERNEL_LAYERS = ['llm', 'dict'];
+
+// Transport layers (Layer 3) are the codecs in transport.mjs
+export const LAYERS = [...KERNEL_LAYERS, ...Object.keys(TRANSPORTS)];
+
+/**
+ * Check a layer chain: known names, `dict` present, kernel layers before transport layers
+ * @param {string[]} layers - Layer names in the order they were applied
+ * @returns {string[]} The layers
+ * @throws {Error} If the chain is invalid
+ */
+function checkLayers(layers) {
+  if (!Array.isArray(layers) || layers.length === 0) throw new Error('Envelope layers must be a non-empty array');
+  const unknown = layers.filter(layer => !LAYERS.includes(layer));
+  if (unknown.length > 0) throw new Error(`Unknown envelope layer: ${unknown.join(', ')} (known: ${LAYERS.join(', ')})`);
+  if (!layers.includes('dict')) throw new Error('Envelope layers must include dict');
+  const firstTransport = layers.findIndex(layer => TRANSPORTS[layer]);
+  if (firstTransport >= 0 && layers.slice(firstTransport).some(layer => KERNEL_LAYERS.includes(layer))) {
+    throw new Error(`Transport layers must come after llm and dict: ${layers.join(', ')}`);
+  }
+  if (KERNEL_LAYERS.some(layer => layers.indexOf(layer) !== layers.lastIndexOf(layer))) {
+    throw new Error(`Envelope layers repeat a kernel layer: ${layers.join(', ')}`);
+  }
+  return layers;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENCODE / DECODE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Wrap a compressed kernel in the extended-format envelope
+ * @param {Object} result - A compression result ({ omega, stats, dictionary }, e.g. from
+ *   semanticCompress or compressToBudget)
+ * @param {Object} options - Options
+ * @param {string[]} options.layers - Layers applied, in order (default ['dict']); transport
+ *   layers such as 'gzip' are applied here
+ * @returns {Object} { omega, version, layers, dictionary?, transportDictionary?, stats };
+ *   with transport layers `omega` is base64 and `stats.encodedBytes` is the size of the
+ *   encoded bytes; `transportDictionary` fingerprints the deflate-dict dictionary
+ */
+export function encodeEnvelope(result, options = {}) {
+  const layers = checkLayers(options.layers || ['dict']);
+  const kernel = result.omega;
+  const originalChars = result.stats?.originalChars ?? kernel.length;
+
+  const transport = layers.filter(layer => TRANSPORTS[layer]);
+  const encoded = transport.length > 0 ? encodeTransport(kernel, transport) : null;
+
+  return {
+    omega: encoded ? encoded.payload : kernel,
+    version: ENVELOPE_VERSION,
+    layers: [...layers],
+    ...(result.dictionary ? { dictionary: result.dictionary } : {}),
+    ...(encoded?.dictionary ? { transportDictionary: encoded.dictionary } : {}),
+    stats: {
+      originalChars,
+      compressedChars: kernel.length,
+      ratio: kernel.length > 0 ? Math.round(originalChars / kernel.length * 10) / 10 : 0,
+      ...(encoded ? { encodedBytes: encoded.bytes.encoded } : {})
+    }
+  };
+}
+
+/**
+ * Unwrap an envelope: reverse its transport layers and expand the kernel
+ * @param {Object|string} input - Envelope, or its JSON
+ * @param {Object} options - decompress options (dictionaries, dictionary, onMismatch), plus
+ * @param {boolean} options.expand - Expand the kernel to English (default true)
+ * @param {number} options.maxOutputLength - decodeTransport's limit on decoded bytes
+ * @returns {Object} { omega, version, layers, dictionary?, stats } plus, when expanded,
+ *   `english`, `tokens` and `warnings` from decompress
+ * @throws {Error} On a malformed envelope, an unsupported major version, or a
+ *   dictionary mismatch (see decompress)
+ */
+export function decodeEnvelope(input, options = {}) {
+  const envelope = typeof input === 'string' ? JSON.parse(input) : input;
+  if (envelope === null || typeof envelope !== 'object' || typeof envelope.omega !== 'string') {
+    throw new Error('Not an Omega envelope: missing omega');
+  }
+  const version = String(envelope.version ?? '');
+  if (version.split('.')[0] !== ENVELOPE_VERSION.split('.')[0]) {
+    throw new Error(`Unsupported envelope version: ${version || '(none)'} (expected ${ENVELOPE_VERSION})`);
+  }
+  const layers = checkLayers(envelope.layers);
+
+  const transport = layers.filter(layer => TRANSPORTS[layer]);
+  const omega = transport.length > 0
+    ? decodeTransport(envelope.omega, transport, {
+      dictionary: envelope.transportDictionary, maxOutputLength: options.maxOutputLength
+    })
+    : envelope.omega;
+
+  const unwrapped = {
+    omega,
+    version,
+    layers,
+    ...(envelope.dictionary ? { dictionary: envelope.dictionary } : {}),
+    stats: envelope.stats
+  };
+  if (options.expand === false) return unwrapped;
+
+  // Expand with the stack the envelope names when it is registered here
+  const named = envelope.dictionary && (envelope.dictionary.layers || [envelope.dictionary]).map(l => l.name);
+  const negotiated = named?.every(name => listDictionaries().some(d => d.name === name)) ? named : undefined;
+  const {
+    expand, maxOutputLength, dictionaries = negotiated, fingerprint = envelope.dictionary, ...decompressOptions
+  } = options;
+  const { english, tokens, warnings } = decompress(omega, { dictionaries, fingerprint, ...decompressOptions });
+  return { ...unwrapped, english, tokens, ...(warnings ? { warnings } : {}) };
+}
+
+/**
+ * Expand whichever form a decompress request carries: an `envelope`, a Layer 3
+ * `payload` with its `transport` codecs (default gzip) and `transportDictionary`, or a
+ * plain kernel in `omega`
+ * @param {Object} input - Request fields
+ * @param {Object} options - decompress options (dictionaries, fingerprint, onMismatch) and
+ *   decodeTransport's maxOutputLength
+ * @returns {Object} decodeEnvelope's or decompress's result; for a payload, plus `transport`
+ * @throws {Error} If none of the three is given, or decoding fails
+ */
+export function decodeInput(input, options = {}) {
+  const { envelope, payload, transport, transportDictionary, omega } = input || {};
+  if (envelope) return decodeEnvelope(envelope, options);
+  const { maxOutputLength, ...decompressOptions } = options;
+  if (payload) {
+    const layers = parseTransport(transport || 'gzip');
+    const kernel = decodeTransport(payload, layers, { dictionary: transportDictionary, maxOutputLength });
+    return { ...decompress(kernel, decompressOptions), transport: layers };
+  }
+  if (omega) return decompress(omega, decompressOptions);
+  throw new Error('Missing omega, payload or envelope');
+}
+
+export default {
+  ENVELOPE_VERSION,
+  LAYERS,
+  encodeEnvelope,
+  decodeEnvelope,
+  decodeInput
+};
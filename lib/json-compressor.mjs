@@ -0,0 +1,301 @@
+/**
+ * JSON Compressor
+ *
+ * Structure-aware compression for JSON payloads such as MCP tool results. Unlike
+ * `toOmega` in mcp-compressor.mjs, which rewrites the serialized text, this walks
+ * the value: keys are abbreviated through a reversible key dictionary, null, empty
+ * and boilerplate fields are dropped, and (optionally) whole string values that
+ * match the value dictionary become symbols. The output is always valid JSON and
+ * `expandJSON` restores the original keys and values.
+ *
+ * A key or string value that already looks like an abbreviation, or starts with
+ * the escape character '~', is escaped with a leading '~' so expansion stays exact.
+ *
+ * `truncateJSON` is the lossy fallback: it shortens long arrays and strings (with
+ * counts) until the payload fits a length, and the result still parses.
+ *
+ * Usage:
+ *   import { compressJSON, expandJSON, truncateJSON } from './json-compressor.mjs';
+ *   const { json, dropped } = compressJSON(toolResult, { encodeValues: true });
+ *   const restored = expandJSON(json, { encodeValues: true });
+ *   const legend = legendFor(json, { encodeValues: true });   // { st: 'status', '✓': 'success' }
+ *   const { json: short } = truncateJSON(toolResult, { maxLength: 1000 });
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DICTIONARIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ESCAPE = '~';
+
+// Common long keys in MCP / REST payloads → abbreviation (must be one-to-one)
+export const KEY_DICTIONARY = {
+  description: 'dsc',
+  message: 'msg',
+  timestamp: 'ts',
+  content: 'cnt',
+  status: 'st',
+  result: 'res',
+  results: 'rs',
+  response: 'rsp',
+  request: 'rq',
+  created: 'crt',
+  createdAt: 'cAt',
+  updated: 'upd',
+  updatedAt: 'uAt',
+  channel: 'ch',
+  author: 'by',
+  properties: 'props',
+  parameters: 'params',
+  arguments: 'args',
+  metadata: 'meta',
+  attributes: 'attrs',
+  children: 'kids',
+  inputSchema: 'inS',
+  structuredContent: 'sC',
+  mimeType: 'mT'
+};
+
+// Whole string values → symbol (only with encodeValues)
+export const VALUE_DICTIONARY = {
+  success: '✓',
+  error: '✗',
+  warning: '⚠',
+  info: 'ℹ',
+  completed: '完',
+  pending: '待',
+  failed: '敗',
+  created: '建',
+  updated: '改',
+  deleted: '刪'
+};
+
+// Fields that carry nothing for a model reading the payload
+const BOILERPLATE_KEYS = new Set(['_meta', '$schema']);
+const BOILERPLATE_VALUES = { isError: false };
+
+function invert(dictionary) {
+  const inverse = {};
+  for (const [full, short] of Object.entries(dictionary)) {
+    if (inverse[short] !== undefined) {
+      throw new Error(`Abbreviation "${short}" is used for both "${inverse[short]}" and "${full}"`);
+    }
+    inverse[short] = full;
+  }
+  return inverse;
+}
+
+// Two-way codec for one dictionary: encode(full) / decode(short), '~'-escaped
+function codec(dictionary) {
+  const inverse = invert(dictionary);
+  const hasOwn = (map, key) => Object.prototype.hasOwnProperty.call(map, key);
+  return {
+    encode: text => {
+      if (hasOwn(dictionary, text)) return dictionary[text];
+      return hasOwn(inverse, text) || text.startsWith(ESCAPE) ? ESCAPE + text : text;
+    },
+    decode: text => {
+      if (text.startsWith(ESCAPE)) return text.slice(1);
+      return hasOwn(inverse, text) ? inverse[text] : text;
+    }
+  };
+}
+
+const codecs = new WeakMap();
+
+function codecFor(dictionary) {
+  if (!codecs.has(dictionary)) codecs.set(dictionary, codec(dictionary));
+  return codecs.get(dictionary);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPRESSION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isEmpty = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const isBoilerplate = (key, value) => BOILERPLATE_KEYS.has(key) ||
+  (Object.prototype.hasOwnProperty.call(BOILERPLATE_VALUES, key) && BOILERPLATE_VALUES[key] === value);
+
+const parse = input => (typeof input === 'string' ? JSON.parse(input) : input);
+
+/**
+ * Compress a JSON value
+ * @param {*} input - Value, or a JSON string
+ * @param {Object} options - Options
+ * @param {Object} options.keys - Key dictionary (default KEY_DICTIONARY)
+ * @param {Object} options.values - Value dictionary (default VALUE_DICTIONARY)
+ * @param {boolean} options.encodeValues - Replace whole string values from the value dictionary
+ * @param {boolean} options.dropEmpty - Drop null, empty and boilerplate fields (default true).
+ *   Dropped fields do not come back on expansion; pass false for an exact round trip
+ * @returns {{ value: *, json: string, dropped: string[], stats: Object }}
+ *   `dropped` lists the paths of removed fields, e.g. "data.items[0].note"
+ */
+export function compressJSON(input, options = {}) {
+  const { keys = KEY_DICTIONARY, values = VALUE_DICTIONARY, encodeValues = false, dropEmpty = true } = options;
+  const keyCodec = codecFor(keys);
+  const valueCodec = codecFor(values);
+  const dropped = [];
+  const original = parse(input);
+
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      return value.map((item, i) => walk(item, `${path}[${i}]`));
+    }
+    if (value !== null && typeof value === 'object') {
+      const entries = [];
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        const compressed = walk(child, childPath);
+        if (dropEmpty && (isBoilerplate(key, child) || isEmpty(compressed))) {
+          dropped.push(childPath);
+          continue;
+        }
+        entries.push([keyCodec.encode(key), compressed]);
+      }
+      return Object.fromEntries(entries);
+    }
+    if (typeof value === 'string' && encodeValues) return valueCodec.encode(value);
+    return value;
+  };
+
+  const value = walk(original, '');
+  const json = JSON.stringify(value);
+  return {
+    value,
+    json,
+    dropped,
+    stats: { originalChars: JSON.stringify(original).length, compressedChars: json.length }
+  };
+}
+
+/**
+ * Expand a value produced by compressJSON (same dictionary options)
+ * @param {*} input - Compressed value, or its JSON string
+ * @param {Object} options - keys, values, encodeValues as passed to compressJSON
+ * @returns {*} The original value, minus any dropped fields
+ */
+export function expandJSON(input, options = {}) {
+  const { keys = KEY_DICTIONARY, values = VALUE_DICTIONARY, encodeValues = false } = options;
+  const keyCodec = codecFor(keys);
+  const valueCodec = codecFor(values);
+
+  const walk = value => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => [keyCodec.decode(key), walk(child)]));
+    }
+    if (typeof value === 'string' && encodeValues) return valueCodec.decode(value);
+    return value;
+  };
+  return walk(parse(input));
+}
+
+/**
+ * The abbreviations a compressJSON value uses, for a reader without the dictionaries
+ * @param {*} input - Compressed value, or its JSON string
+ * @param {Object} options - keys, values, encodeValues as passed to compressJSON
+ * @returns {Object} { abbreviation: original } for each key and value it abbreviates
+ */
+export function legendFor(input, options = {}) {
+  const { keys = KEY_DICTIONARY, values = VALUE_DICTIONARY, encodeValues = false } = options;
+  const keyNames = invert(keys);
+  const valueNames = invert(values);
+  const hasOwn = (map, key) => Object.prototype.hasOwnProperty.call(map, key);
+  const legend = {};
+
+  const walk = value => {
+    if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value !== null && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (hasOwn(keyNames, key)) legend[key] = keyNames[key];
+        walk(child);
+      }
+    } else if (typeof value === 'string' && encodeValues && hasOwn(valueNames, value)) {
+      legend[value] = valueNames[value];
+    }
+  };
+  walk(parse(input));
+  return legend;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRUNCATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MIN_STRING = 16;
+
+// Longest array and string anywhere in a value (the starting limits for truncation)
+function extent(value, found = { items: 0, chars: 0 }) {
+  if (Array.isArray(value)) {
+    found.items = Math.max(found.items, value.length);
+    value.forEach(item => extent(item, found));
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(child => extent(child, found));
+  } else if (typeof value === 'string') {
+    found.chars = Math.max(found.chars, value.length);
+  }
+  return found;
+}
+
+/**
+ * Shrink a JSON value to fit a length without breaking it: long arrays keep their
+ * first items plus a "…+N more" entry, long strings are shortened with "…", and
+ * every key is kept. Limits halve until the JSON fits.
+ * @param {*} input - Value, or a JSON string
+ * @param {Object} options - Options
+ * @param {number} options.maxLength - Target JSON length in characters
+ * @param {number} options.maxItems - Keep at most this many items per array
+ * @param {number} options.maxString - Shorten strings to at most this many characters
+ * @returns {{ value: *, json: string, fits: boolean, truncated: Object[] }}
+ *   `truncated` has { path, kept, total } per shortened array or string
+ */
+export function truncateJSON(input, options = {}) {
+  const original = parse(input);
+  const { maxLength = Infinity } = options;
+  const longest = extent(original);
+  let items = options.maxItems ?? longest.items;
+  let chars = options.maxString ?? longest.chars;
+
+  const render = () => {
+    const truncated = [];
+    const walk = (value, path) => {
+      if (Array.isArray(value)) {
+        const kept = value.slice(0, items).map((item, i) => walk(item, `${path}[${i}]`));
+        if (value.length <= items) return kept;
+        truncated.push({ path, kept: items, total: value.length });
+        return [...kept, `…+${value.length - items} more`];
+      }
+      if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, walk(child, path ? `${path}.${key}` : key)]));
+      }
+      if (typeof value === 'string' && value.length > chars) {
+        truncated.push({ path, kept: chars, total: value.length });
+        return value.slice(0, chars) + '…';
+      }
+      return value;
+    };
+    const value = walk(original, '');
+    return { value, json: JSON.stringify(value), truncated };
+  };
+
+  let result = render();
+  while (result.json.length > maxLength && (items > 1 || chars > MIN_STRING)) {
+    items = Math.max(1, Math.floor(items / 2));
+    chars = Math.min(chars, Math.max(MIN_STRING, Math.floor(chars / 2)));
+    result = render();
+  }
+  return { ...result, fits: result.json.length <= maxLength };
+}
+
+export default {
+  KEY_DICTIONARY,
+  VALUE_DICTIONARY,
+  compressJSON,
+  expandJSON,
+  legendFor,
+  truncateJSON
+};
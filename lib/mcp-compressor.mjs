@@ -3,13 +3,21 @@
  * MCP Response Compressor
  * 
  * Middleware for compressing MCP responses based on target model's tokenizer.
- * Uses Omega for Qwen-family models, English summarization for GPT/Claude.
+ * Each response is encoded several ways (raw, minified/compact JSON, Omega) and
+ * the one with the fewest tokens for the target model wins. Token counts come
+ * from the family's tokenizer in lib/tokenizers.mjs (GPT's when none is
+ * registered). Responses that do not fit `maxLength` are truncated without
+ * breaking their structure, or summarized by an optional callback.
  * 
  * Usage:
  *   import { compressMCPResponse, detectModelFamily } from './mcp-compressor.mjs';
- *   const compressed = compressMCPResponse(response, 'qwen2.5:3b');
+ *   const { compressed, rationale } = compressMCPResponse(response, 'qwen2.5:3b');
  */
 
+import { getTokenizer } from './tokenizers.mjs';
+import { compressJSON, truncateJSON, legendFor } from './json-compressor.mjs';
+import { selectFields } from './mcp-policy.mjs';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MODEL FAMILY DETECTION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -25,7 +33,8 @@ const MODEL_FAMILIES = {
   grok: ['grok', 'grok-3']
 };
 
-// Models with efficient Chinese tokenizers (benefit from Omega)
+// Models with efficient Chinese tokenizers (benefit from Omega). Only used for
+// families without a registered tokenizer.
 const OMEGA_EFFICIENT = ['qwen', 'deepseek', 'llama'];
 
 // Models with inefficient Chinese tokenizers (Omega costs more tokens)
@@ -41,8 +50,19 @@ export function detectModelFamily(modelName) {
   return 'unknown';
 }
 
-export function shouldUseOmega(modelName) {
+/**
+ * Whether Omega saves tokens for a model
+ * @param {string} modelName - Target model, e.g. 'qwen2.5:3b'
+ * @param {string} sample - Optional payload; measured with the family's tokenizer
+ *   when one is registered (see registerTokenizer in tokenizers.mjs)
+ * @returns {boolean}
+ */
+export function shouldUseOmega(modelName, sample) {
   const family = detectModelFamily(modelName);
+  const tokenizer = getTokenizer(family);
+  if (sample && tokenizer) {
+    return tokenizer.countTokens(toOmega(sample)) < tokenizer.countTokens(sample);
+  }
   return OMEGA_EFFICIENT.includes(family);
 }
 
@@ -76,63 +96,232 @@ const OMEGA_MAPPINGS = {
   'author': 'by'
 };
 
+const omegaPattern = english => new RegExp(`\\b${english}\\b`, 'gi');
+
+// Plain text only: replaces whole words, JSON keys included, so JSON responses
+// go through compressJSON instead. Identifiers such as getMessage stay intact.
 export function toOmega(text) {
   let result = text;
   for (const [english, omega] of Object.entries(OMEGA_MAPPINGS)) {
-    result = result.replace(new RegExp(english, 'gi'), omega);
+    result = result.replace(omegaPattern(english), omega);
   }
   return result;
 }
 
+// { abbreviation: word } for the OMEGA_MAPPINGS that toOmega applies to a text
+function omegaLegend(text) {
+  const legend = {};
+  for (const [english, omega] of Object.entries(OMEGA_MAPPINGS)) {
+    if (omegaPattern(english).test(text)) legend[omega] = english;
+  }
+  return legend;
+}
+
+// One line the model reads next to an abbreviated candidate, or undefined if it abbreviates nothing
+function formatLegend(legend) {
+  const entries = Object.entries(legend);
+  if (entries.length === 0) return undefined;
+  return `Legend: ${entries.map(([short, full]) => `${short}=${full}`).join(', ')}`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // COMPRESSION STRATEGIES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Tokenizer for a family; families without one (Claude, Gemini) are counted with GPT's
+function tokenizerFor(family) {
+  const tokenizer = getTokenizer(family);
+  if (tokenizer) return { tokenizer, label: `${tokenizer.name} (${family})` };
+  const gpt = getTokenizer('gpt');
+  return { tokenizer: gpt, label: `${gpt.name} (no ${family} tokenizer registered)` };
+}
+
+// Parsed JSON for objects and JSON strings, undefined for other text
+function parseResponse(response) {
+  if (typeof response === 'object') return response;
+  try {
+    return JSON.parse(response);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Cut plain text to maxLength at a word boundary, saying how much was cut
+ * @param {string} text - Text
+ * @param {number} maxLength - Maximum length including the marker
+ * @returns {string}
+ */
+export function truncateText(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const marker = `…[+${text.length - maxLength} chars]`;
+  let cut = text.slice(0, Math.max(0, maxLength - marker.length));
+  const space = cut.lastIndexOf(' ');
+  if (space > cut.length / 2) cut = cut.slice(0, space);
+  return `${cut}…[+${text.length - cut.length} chars]`;
+}
+
+/**
+ * Candidate encodings of a response that keep all of it: raw, minified JSON,
+ * compact JSON (abbreviated keys, no empty fields) and Omega. JSON stays valid
+ * JSON: its Omega form only encodes whole values (see json-compressor.mjs). Plain
+ * text (code, logs) only gets toOmega when `strategy` asks for it, since rewriting
+ * words there can change what the text means. Abbreviating candidates carry the
+ * `legend` that explains them.
+ */
+function completeCandidates(text, minified, strategy) {
+  if (minified === undefined) {
+    return [
+      { strategy: 'raw', text },
+      ...(strategy === 'omega' ? [{ strategy: 'omega', text: toOmega(text), legend: formatLegend(omegaLegend(text)) }] : [])
+    ];
+  }
+  const compact = compressJSON(minified).json;
+  const omega = compressJSON(minified, { encodeValues: true }).json;
+  return [
+    { strategy: 'raw', text },
+    ...(minified !== text ? [{ strategy: 'minified', text: minified }] : []),
+    { strategy: 'compact', text: compact, legend: formatLegend(legendFor(compact)) },
+    { strategy: 'omega', text: omega, legend: formatLegend(legendFor(omega, { encodeValues: true })) }
+  ];
+}
+
+/**
+ * Lossy fallbacks, only built when no complete candidate fits: structure-preserving
+ * truncation of the JSON without empty fields (every key kept, still valid JSON, long
+ * arrays and strings shortened with counts) and, with a `summarize` callback, a summary
+ */
+function fallbackCandidates(text, minified, maxLength, summarize) {
+  // Keys stay unabbreviated: a legend would take room the payload needs
+  const truncated = minified === undefined
+    ? truncateText(text, maxLength)
+    : truncateJSON(compressJSON(minified, { keys: {} }).value, { maxLength }).json;
+  const fallbacks = [{ strategy: 'truncate', text: truncated }];
+  if (summarize) {
+    try {
+      const summary = summarize(minified ?? text, maxLength);
+      if (summary) fallbacks.push({ strategy: 'summary', text: summary });
+    } catch (e) {
+      console.warn(`[mcp-compressor] summarize failed: ${e.message}`);
+    }
+  }
+  return fallbacks;
+}
+
+/**
+ * Compress an MCP response for a target model, picking the candidate encoding
+ * with the fewest tokens for that model's tokenizer
+ * @param {Object|string} response - MCP response
+ * @param {string} targetModel - Target model, e.g. 'qwen2.5:3b'
+ * @param {Object} options - Options (policyFor() in mcp-policy.mjs returns the policy ones)
+ * @param {number} options.maxLength - Longest acceptable output in characters;
+ *   when no complete candidate fits, the response is truncated or summarized
+ * @param {boolean} options.preserveStructure - Pretty-print objects for the raw candidate
+ * @param {Function} options.summarize - Optional (text, maxLength) => summary, e.g. a
+ *   local LLM; offered alongside truncation when nothing complete fits
+ * @param {string} options.strategy - 'auto' (default), 'passthrough' (return the
+ *   response unchanged) or a candidate to use: 'raw', 'minified', 'compact', 'omega'
+ * @param {boolean} options.allowOmega - Consider the Omega candidate (default true)
+ * @param {string[]} options.allow - JSON paths to keep (everything else is removed)
+ * @param {string[]} options.deny - JSON paths to remove
+ * @returns {Object} { compressed, strategy, savings, family, originalLength,
+ *   compressedLength, tokens, tokenizer, candidates, rationale, legend?, removedFields? };
+ *   `savings` is in characters, `tokens.savings` in tokens (both percent). When the
+ *   chosen candidate abbreviates keys or words, `legend` is a line that spells them
+ *   out ("Legend: st=status, ✓=success"); pass it to the model with `compressed`.
+ *   Lengths and token counts include it
+ */
 export function compressMCPResponse(response, targetModel, options = {}) {
-  const { maxLength = 1000, preserveStructure = true } = options;
+  const {
+    maxLength = 1000, preserveStructure = true, summarize,
+    strategy = 'auto', allowOmega = true, allow, deny
+  } = options;
   
   const family = detectModelFamily(targetModel);
-  const useOmega = shouldUseOmega(targetModel);
+  const { tokenizer, label } = tokenizerFor(family);
+  // The legend reaches the model too, so it counts against its candidate
+  const measure = complete => c => ({
+    ...c,
+    complete,
+    chars: c.text.length + (c.legend ? c.legend.length + 1 : 0),
+    tokens: tokenizer.countTokens(c.text) + (c.legend ? tokenizer.countTokens(c.legend) : 0)
+  });
   
   // Convert to string if object
-  const text = typeof response === 'object' 
+  const originalText = typeof response === 'object' 
     ? JSON.stringify(response, null, preserveStructure ? 2 : 0)
     : String(response);
+  const original = measure(true)({ strategy: 'raw', text: originalText });
   
-  // Short responses: no compression needed
-  if (text.length < 200) {
-    return { 
-      compressed: text, 
-      strategy: 'none',
+  if (strategy === 'passthrough') {
+    return {
+      compressed: originalText,
+      strategy,
       savings: 0,
-      family 
+      family,
+      originalLength: original.chars,
+      compressedLength: original.chars,
+      tokens: { original: original.tokens, compressed: original.tokens, savings: 0 },
+      tokenizer: tokenizer.name,
+      candidates: [],
+      rationale: 'passthrough: policy leaves this response unchanged'
     };
   }
   
-  // Apply compression based on model family
-  let compressed;
-  let strategy;
+  // Field rules apply to JSON responses before any encoding
+  let removedFields;
+  let text = originalText;
+  const parsed = parseResponse(response);
+  let minified = parsed === undefined ? undefined : JSON.stringify(parsed);
+  if (parsed !== undefined && (allow || deny)) {
+    const selected = selectFields(parsed, { allow, deny });
+    removedFields = selected.removed;
+    text = JSON.stringify(selected.value, null, preserveStructure ? 2 : 0);
+    minified = JSON.stringify(selected.value);
+  }
+  
+  const candidates = completeCandidates(text, minified, strategy)
+    .filter(c => c.strategy === 'raw' || strategy === 'auto' || c.strategy === strategy)
+    .filter(c => allowOmega || c.strategy !== 'omega')
+    .map(measure(true));
+  // A forced strategy the response has no form for (e.g. compact for plain text) falls back to raw
+  const usable = strategy === 'auto' || !candidates.some(c => c.strategy === strategy)
+    ? candidates
+    : candidates.filter(c => c.strategy === strategy);
   
-  if (useOmega) {
-    compressed = toOmega(text);
-    strategy = 'omega';
-  } else {
-    // For GPT/Claude: just truncate/summarize (Omega costs more tokens)
-    compressed = text.length > maxLength 
-      ? text.slice(0, maxLength) + '...[truncated]'
-      : text;
-    strategy = 'truncate';
+  // Fewest tokens among the complete candidates that fit; ties keep the least rewritten
+  let pool = usable.filter(c => c.chars <= maxLength);
+  if (pool.length === 0) {
+    const fallbacks = fallbackCandidates(text, minified, maxLength, summarize).map(measure(false));
+    candidates.push(...fallbacks);
+    pool = fallbacks.filter(c => c.chars <= maxLength);
+    if (pool.length === 0) pool = fallbacks;
   }
+  const chosen = pool.reduce((best, c) => (c.tokens < best.tokens ? c : best));
+  
+  const others = candidates.filter(c => c !== chosen).map(c => `${c.strategy} ${c.tokens}`).join(', ');
+  const rationale = (chosen.complete
+    ? `${chosen.strategy}: ${chosen.tokens} tokens with ${label}` + (others ? ` (${others})` : '')
+    : `${chosen.strategy}: no complete candidate fits in ${maxLength} chars (${others}); ${chosen.tokens} tokens with ${label}`) +
+    (strategy !== 'auto' ? `; policy strategy ${strategy}` : '') +
+    (removedFields?.length ? `; ${removedFields.length} fields removed by policy` : '');
   
-  const savings = ((1 - compressed.length / text.length) * 100).toFixed(1);
+  const savings = ((1 - chosen.chars / original.chars) * 100).toFixed(1);
+  const tokenSavings = original.tokens > 0 ? Math.round((1 - chosen.tokens / original.tokens) * 100) : 0;
   
   return {
-    compressed,
-    strategy,
+    compressed: chosen.text,
+    strategy: chosen.strategy,
     savings: parseFloat(savings),
     family,
-    originalLength: text.length,
-    compressedLength: compressed.length
+    originalLength: original.chars,
+    compressedLength: chosen.chars,
+    tokens: { original: original.tokens, compressed: chosen.tokens, savings: tokenSavings },
+    tokenizer: tokenizer.name,
+    candidates: candidates.map(({ strategy, chars, tokens, complete }) => ({ strategy, chars, tokens, complete })),
+    rationale,
+    ...(chosen.legend ? { legend: chosen.legend } : {}),
+    ...(removedFields ? { removedFields } : {})
   };
 }
 
@@ -162,6 +351,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     console.log(`  Strategy: ${result.strategy}`);
     console.log(`  Savings: ${result.savings}%`);
     console.log(`  ${result.originalLength} → ${result.compressedLength} chars`);
+    console.log(`  ${result.rationale}`);
   }
 }
 
@@ -0,0 +1,236 @@
+/**
+ * MCP Compression Policy
+ *
+ * Declarative per-tool rules for the MCP compressor (mcp-policy.json), so tool
+ * outputs that must never change (file contents, diffs) pass through untouched and
+ * noisy fields are dropped by path instead of hand-tuning maxLength.
+ *
+ *   {
+ *     "defaults": { "strategy": "auto", "maxLength": 1000, "allowOmega": true },
+ *     "tools": {
+ *       "read_file": { "strategy": "passthrough" },
+ *       "*messages*": { "deny": ["$.pollingTip", "$.messages[*]._id"], "maxLength": 4000 }
+ *     }
+ *   }
+ *
+ * Tool names may use '*' wildcards; an exact name wins over a pattern, otherwise the
+ * first matching pattern in file order applies. Paths are a JSONPath subset: `$`,
+ * `.key`, `['key']`, `[0]`, `[*]`, `.*` and `..key` (any depth).
+ *
+ * Usage:
+ *   import { loadPolicy, policyFor } from './mcp-policy.mjs';
+ *   const policy = loadPolicy('mcp-policy.json');
+ *   compressMCPResponse(result, 'gpt-4o', policyFor(policy, 'read_messages'));
+ */
+
+import { readFileSync } from 'node:fs';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JSON PATHS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ANY = '*';
+const ANY_DEPTH = '**';
+
+const pathCache = new Map();
+
+/**
+ * Parse a JSONPath expression into segments ('*' any key or index, '**' any depth)
+ * @param {string} expression - e.g. "$.messages[*]._id" or "$..etag"
+ * @returns {Array<string|number>} Segments
+ */
+export function parsePath(expression) {
+  if (pathCache.has(expression)) return pathCache.get(expression);
+  if (!expression.startsWith('$')) throw new Error(`JSON path must start with $: ${expression}`);
+
+  const segments = [];
+  const token = /(\.\.?)([A-Za-z_$][\w$-]*|\*)?|\[(\d+|\*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\]/y;
+  token.lastIndex = 1;
+  while (token.lastIndex < expression.length) {
+    const at = token.lastIndex;
+    const match = token.exec(expression);
+    if (!match) throw new Error(`Invalid JSON path at ${at}: ${expression}`);
+    if (match[1] === '..') segments.push(ANY_DEPTH);
+    else if (match[1] === '.' && match[2] === undefined) throw new Error(`Invalid JSON path at ${at}: ${expression}`);
+    const part = match[2] ?? match[3];
+    if (part !== undefined) {
+      if (/^\d+$/.test(part)) segments.push(Number(part));
+      else if (/^['"]/.test(part)) segments.push(part.slice(1, -1).replace(/\\(.)/g, '$1'));
+      else segments.push(part);
+    }
+  }
+  if (segments.at(-1) === ANY_DEPTH) throw new Error(`JSON path cannot end with '..': ${expression}`);
+  pathCache.set(expression, segments);
+  return segments;
+}
+
+// Does a concrete path (keys and indexes) match a pattern? With `partial`, also
+// true when the path could still be extended into a match (an ancestor).
+function matchPath(pattern, path, partial = false, p = 0, i = 0) {
+  if (p === pattern.length) return i === path.length;
+  if (i === path.length) return partial;
+  const segment = pattern[p];
+  if (segment === ANY_DEPTH) {
+    return matchPath(pattern, path, partial, p + 1, i) || matchPath(pattern, path, partial, p, i + 1);
+  }
+  if (segment !== ANY && segment !== path[i] && String(segment) !== String(path[i])) return false;
+  return matchPath(pattern, path, partial, p + 1, i + 1);
+}
+
+/**
+ * Keep or drop fields of a JSON value by path
+ * @param {*} value - Parsed JSON
+ * @param {Object} rules - Rules
+ * @param {string[]} rules.allow - Keep only these paths (with their subtrees)
+ * @param {string[]} rules.deny - Remove these paths (applied after allow)
+ * @returns {{ value: *, removed: string[] }} `removed` lists the removed paths
+ */
+export function selectFields(value, { allow, deny } = {}) {
+  const allowed = allow?.map(parsePath);
+  const denied = (deny || []).map(parsePath);
+  const removed = [];
+  const label = path => '$' + path.map(k => (typeof k === 'number' ? `[${k}]` : `.${k}`)).join('');
+  const DROP = Symbol('drop');
+
+  // `whole`: this node is allowed with its subtree (only deny rules still apply)
+  const walk = (node, path, inside) => {
+    if (denied.some(pattern => matchPath(pattern, path))) {
+      removed.push(label(path));
+      return DROP;
+    }
+    const whole = inside || !allowed || allowed.some(pattern => matchPath(pattern, path));
+    if (!whole && !allowed.some(pattern => matchPath(pattern, path, true))) {
+      removed.push(label(path));
+      return DROP;
+    }
+    if (node === null || typeof node !== 'object') {
+      if (whole) return node;
+      removed.push(label(path));
+      return DROP;
+    }
+
+    const entries = Array.isArray(node) ? node.map((child, i) => [i, child]) : Object.entries(node);
+    const kept = entries
+      .map(([key, child]) => [key, walk(child, [...path, key], whole)])
+      .filter(([, child]) => child !== DROP);
+    // Under allow, a container only survives through its allowed descendants
+    if (!whole && kept.length === 0 && path.length > 0) {
+      if (entries.length === 0) removed.push(label(path));
+      return DROP;
+    }
+    return Array.isArray(node) ? kept.map(([, child]) => child) : Object.fromEntries(kept);
+  };
+
+  const result = walk(value, [], false);
+  return { value: result === DROP ? null : result, removed };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLICY FILES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const STRATEGIES = ['auto', 'passthrough', 'raw', 'minified', 'compact', 'omega'];
+
+const RULE_CHECKS = {
+  strategy: v => STRATEGIES.includes(v) || `must be one of ${STRATEGIES.join(', ')}`,
+  maxLength: v => (Number.isInteger(v) && v > 0) || 'must be a positive integer',
+  allowOmega: v => typeof v === 'boolean' || 'must be a boolean',
+  allow: v => checkPaths(v),
+  deny: v => checkPaths(v),
+  description: v => typeof v === 'string' || 'must be a string'
+};
+
+function checkPaths(paths) {
+  if (!Array.isArray(paths)) return 'must be an array of JSON paths';
+  for (const path of paths) {
+    try {
+      parsePath(path);
+    } catch (e) {
+      return e.message;
+    }
+  }
+  return true;
+}
+
+function checkRule(rule, at) {
+  if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) return [`${at}: expected object`];
+  return Object.entries(rule).flatMap(([key, value]) => {
+    if (key.startsWith('_')) return [];
+    const check = RULE_CHECKS[key];
+    if (!check) return [`${at}.${key}: unknown property`];
+    const ok = check(value);
+    return ok === true ? [] : [`${at}.${key}: ${ok}`];
+  });
+}
+
+/**
+ * Validate a policy object
+ * @param {Object} policy - Parsed policy JSON
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validatePolicy(policy) {
+  const errors = [];
+  if (policy === null || typeof policy !== 'object') {
+    errors.push('policy: expected object');
+  } else {
+    for (const key of Object.keys(policy)) {
+      if (!['defaults', 'tools', 'description', '$schema'].includes(key) && !key.startsWith('_')) {
+        errors.push(`${key}: unknown property`);
+      }
+    }
+    if (policy.defaults !== undefined) errors.push(...checkRule(policy.defaults, 'defaults'));
+    if (policy.tools !== undefined) {
+      if (typeof policy.tools !== 'object' || Array.isArray(policy.tools)) {
+        errors.push('tools: expected object');
+      } else {
+        for (const [tool, rule] of Object.entries(policy.tools)) {
+          if (!tool.startsWith('_')) errors.push(...checkRule(rule, `tools.${tool}`));
+        }
+      }
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Read and validate a policy file
+ * @param {string|URL} path - Policy JSON (e.g. mcp-policy.json)
+ * @returns {Object} The policy
+ * @throws {Error} If the policy does not validate
+ */
+export function loadPolicy(path) {
+  const policy = JSON.parse(readFileSync(path, 'utf-8'));
+  const { valid, errors } = validatePolicy(policy);
+  if (!valid) throw new Error(`Invalid MCP policy ${path}:\n  ${errors.join('\n  ')}`);
+  return policy;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const globToRegExp = glob => new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+/**
+ * Rules for one tool: policy defaults overlaid with the tool's entry
+ * @param {Object} policy - Policy (from loadPolicy); undefined means no rules
+ * @param {string} tool - Tool name
+ * @returns {Object} { strategy, maxLength?, allowOmega, allow?, deny? }, ready to
+ *   pass as compressMCPResponse options
+ */
+export function policyFor(policy, tool) {
+  const tools = Object.entries(policy?.tools || {}).filter(([name]) => !name.startsWith('_'));
+  const exact = tools.find(([name]) => name === tool);
+  const pattern = exact || tools.find(([name]) => name.includes('*') && globToRegExp(name).test(tool));
+  const strip = rule => Object.fromEntries(Object.entries(rule || {}).filter(([key]) => !key.startsWith('_') && key !== 'description'));
+  return { strategy: 'auto', allowOmega: true, ...strip(policy?.defaults), ...strip(pattern?.[1]) };
+}
+
+export default {
+  STRATEGIES,
+  parsePath,
+  selectFields,
+  validatePolicy,
+  loadPolicy,
+  policyFor
+};
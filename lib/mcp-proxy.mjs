@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * MCP Proxy
+ *
+ * A stdio MCP server that sits between a client and an upstream MCP server. Every
+ * message is forwarded unchanged, except `tools/call` results: their text content
+ * goes through compressMCPResponse for the configured target model before it
+ * reaches the client. A policy file (see mcp-policy.mjs) sets per-tool strategies,
+ * field rules and limits. Per-call token savings are logged to stderr (stdout is
+ * the protocol stream).
+ *
+ * Usage:
+ *   node lib/mcp-proxy.mjs --model qwen2.5:3b [--policy mcp-policy.json] [--include a,b] [--exclude c] [--max-length 2000] \
+ *     -- npx -y @modelcontextprotocol/server-github
+ *
+ *   import { startProxy } from './mcp-proxy.mjs';
+ *   startProxy({ command: 'node', args: ['server.mjs'], targetModel: 'gpt-4o' });
+ */
+
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { compressMCPResponse } from './mcp-compressor.mjs';
+import { registerTokenizersFromList } from './tokenizers.mjs';
+import { loadPolicy, policyFor } from './mcp-policy.mjs';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESULT REWRITING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a tool's results should be compressed
+ * @param {string} tool - Tool name
+ * @param {Object} options - { include, exclude } tool name lists; exclude wins
+ * @returns {boolean}
+ */
+export function shouldCompressTool(tool, { include, exclude } = {}) {
+  if (exclude?.includes(tool)) return false;
+  return !include || include.includes(tool);
+}
+
+/**
+ * Compress the text content of a tools/call result. Error results and non-text
+ * content (images, resources) are left alone. A compressed item that abbreviates
+ * keys is followed by a text item with its legend.
+ * @param {Object} result - tools/call result ({ content: [...] })
+ * @param {string} targetModel - Model that reads the result
+ * @param {Object} options - compressMCPResponse options (maxLength, summarize, policy rules)
+ * @returns {{ result: Object, stats: Object|null }} `stats` has the strategies
+ *   used and the token counts before and after, or null if nothing was compressed
+ */
+export function rewriteToolResult(result, targetModel, options = {}) {
+  if (!result || result.isError || !Array.isArray(result.content)) return { result, stats: null };
+
+  const stats = { strategies: [], tokensBefore: 0, tokensAfter: 0 };
+  const content = result.content.flatMap(item => {
+    if (item?.type !== 'text' || typeof item.text !== 'string') return [item];
+    const compressed = compressMCPResponse(item.text, targetModel, options);
+    stats.strategies.push(compressed.strategy);
+    stats.tokensBefore += compressed.tokens.original;
+    stats.tokensAfter += compressed.tokens.compressed;
+    const rewritten = { ...item, text: compressed.compressed };
+    // Abbreviated keys are explained in a text item of their own, so the JSON still parses
+    return compressed.legend ? [rewritten, { type: 'text', text: compressed.legend }] : [rewritten];
+  });
+
+  if (stats.strategies.length === 0) return { result, stats: null };
+  return { result: { ...result, content }, stats };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROXY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const percent = (before, after) => (before > 0 ? Math.round((1 - after / before) * 100) : 0);
+
+// JSON-RPC ids may be numbers or strings; keep 1 and "1" apart
+const idKey = id => JSON.stringify(id);
+
+/**
+ * Start a proxy to an upstream stdio MCP server
+ * @param {Object} options - Options
+ * @param {string} options.command - Upstream server command
+ * @param {string[]} options.args - Upstream server arguments
+ * @param {string} options.targetModel - Model the client feeds results to (default gpt-4o)
+ * @param {string[]} options.include - Only compress these tools
+ * @param {string[]} options.exclude - Never compress these tools
+ * @param {number} options.maxLength - Truncate results longer than this; default none, so
+ *   results are only re-encoded losslessly
+ * @param {Object} options.policy - Per-tool rules (loadPolicy); a tool's rules override maxLength
+ * @param {Function} options.shouldCompress - (tool) => boolean, overrides include/exclude
+ * @param {Stream} options.input - Client messages (default: stdin)
+ * @param {Stream} options.output - Messages to the client (default: stdout)
+ * @param {Function} options.log - Logger (default: stderr)
+ * @param {Function} options.onExit - Called with the upstream exit code
+ * @returns {{ upstream: ChildProcess, totals: Object }}
+ */
+export function startProxy(options) {
+  const {
+    command, args = [], targetModel = 'gpt-4o', include, exclude, maxLength = Infinity, policy,
+    shouldCompress = tool => shouldCompressTool(tool, { include, exclude }),
+    input = process.stdin, output = process.stdout,
+    log = message => process.stderr.write(`[mcp-proxy] ${message}\n`),
+    onExit
+  } = options;
+
+  const upstream = spawn(command, args, { stdio: ['pipe', 'pipe', 'inherit'] });
+  const pending = new Map();                   // tools/call request id → tool name
+  const totals = { calls: 0, compressed: 0, tokensBefore: 0, tokensAfter: 0 };
+
+  // Client → upstream: forward as-is, remembering which requests are tool calls
+  const fromClient = createInterface({ input });
+  fromClient.on('line', line => {
+    try {
+      for (const message of [].concat(JSON.parse(line))) {
+        if (message?.method === 'tools/call' && message.id !== undefined) {
+          pending.set(idKey(message.id), message.params?.name);
+        }
+      }
+    } catch {
+      // Not JSON: the upstream server reports it
+    }
+    upstream.stdin.write(line + '\n');
+  });
+  fromClient.on('close', () => upstream.stdin.end());
+
+  const rewrite = message => {
+    const key = message && message.id !== undefined ? idKey(message.id) : undefined;
+    if (key === undefined || !pending.has(key)) return message;
+    const tool = pending.get(key);
+    pending.delete(key);                       // error replies end the call too
+    if (!message.result) return message;
+    totals.calls++;
+    const rules = policyFor(policy, tool);
+    if (!shouldCompress(tool) || rules.strategy === 'passthrough') {
+      log(`${tool}: passed through`);
+      return message;
+    }
+    const { result, stats } = rewriteToolResult(message.result, targetModel, { maxLength, ...rules });
+    if (!stats) return message;
+    totals.compressed++;
+    totals.tokensBefore += stats.tokensBefore;
+    totals.tokensAfter += stats.tokensAfter;
+    log(`${tool}: ${stats.strategies.join('+')} ${stats.tokensBefore} → ${stats.tokensAfter} tokens ` +
+      `(${percent(stats.tokensBefore, stats.tokensAfter)}% saved)`);
+    return { ...message, result };
+  };
+
+  // Upstream → client: rewrite tool results, forward everything else
+  createInterface({ input: upstream.stdout }).on('line', line => {
+    let messages;
+    try {
+      messages = JSON.parse(line);
+    } catch {
+      output.write(line + '\n');
+      return;
+    }
+    const rewritten = Array.isArray(messages) ? messages.map(rewrite) : rewrite(messages);
+    output.write(JSON.stringify(rewritten) + '\n');
+  });
+
+  upstream.on('error', e => log(`cannot run upstream: ${e.message}`));
+  upstream.stdin.on('error', e => log(`upstream stdin: ${e.message}`));
+  // 'close' (not 'exit') so the last upstream lines are forwarded first
+  upstream.on('close', code => {
+    log(`upstream exited (${code ?? 'signal'}); ${totals.compressed}/${totals.calls} tool results compressed, ` +
+      `${totals.tokensBefore} → ${totals.tokensAfter} tokens (${percent(totals.tokensBefore, totals.tokensAfter)}% saved)`);
+    onExit?.(code);
+  });
+
+  log(`proxying ${[command, ...args].join(' ')} for ${targetModel}`);
+  return { upstream, totals };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse proxy command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} startProxy options
+ */
+export function parseArgs(argv) {
+  const split = argv.indexOf('--');
+  const flags = split < 0 ? argv : argv.slice(0, split);
+  const [command, ...args] = split < 0 ? [] : argv.slice(split + 1);
+  if (!command) {
+    throw new Error('Usage: mcp-proxy.mjs [--model M] [--policy FILE] [--include a,b] [--exclude c] [--max-length N] -- command [args...]');
+  }
+
+  const options = { command, args };
+  for (let i = 0; i < flags.length; i++) {
+    const value = flags[i + 1];
+    switch (flags[i]) {
+      case '--model': options.targetModel = value; i++; break;
+      case '--include': options.include = value.split(','); i++; break;
+      case '--exclude': options.exclude = value.split(','); i++; break;
+      case '--max-length': options.maxLength = Number(value); i++; break;
+      case '--policy': options.policy = loadPolicy(value); i++; break;
+      default: throw new Error(`Unknown option: ${flags[i]}`);
+    }
+  }
+  return options;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    registerTokenizersFromList(process.env.OMEGA_TOKENIZERS);
+    startProxy({
+      ...parseArgs(process.argv.slice(2)),
+      onExit: code => process.stdout.write('', () => process.exit(code === 0 ? 0 : code > 0 ? code : 1))
+    });
+  } catch (e) {
+    console.error(`[mcp-proxy] ${e.message}`);
+    process.exit(2);
+  }
+}
+
+export default {
+  shouldCompressTool,
+  rewriteToolResult,
+  startProxy,
+  parseArgs
+};
@@ -4,7 +4,18 @@
  * Provides the omega format encoder/decoder for terminal streaming.
  * This is a generic library - integration code lives in consuming projects.
  *
- * Format: Ω{ts:HH:MM:SS|from:AGENT|ch:CHANNEL|t:TYPE|m:MESSAGE}
+ * Format: Ω{n:SEQ|ts:HH:MM:SS|at:ISO|from:AGENT|ch:CHANNEL|t:TYPE|m:MESSAGE}
+ *
+ * `n` numbers the entries of a channel 1, 2, 3, … and `at` is the full write time
+ * (ISO 8601 or epoch milliseconds), so readStream can return only what is new.
+ *
+ * Values are escaped so any text survives one line: `\\`, `\|`, `\}`, `\n` and
+ * `\r`. encodeLine/decodeLine implement the grammar in docs/TERMINAL_STREAM_SPEC.md;
+ * decodeLine rejects anything else, and readStream reports such lines as malformed.
+ *
+ * Writers here append under an advisory lock file (withStreamLock), one line of at
+ * most MAX_LINE_BYTES per write; verifyStream finds torn or interleaved lines.
+ * followStream delivers new messages as they are written.
  *
  * Message types:
  * - cht: Chat message
@@ -15,8 +26,12 @@
  * - syn: Sync marker
  */
 
-import { writeFileSync, appendFileSync, existsSync, mkdirSync, readFileSync } from 'fs';
+import {
+  writeFileSync, appendFileSync, existsSync, mkdirSync, readFileSync, openSync, readSync, writeSync, closeSync,
+  statSync, fstatSync, rmSync, watch
+} from 'fs';
 import { join } from 'path';
+import { hostname } from 'os';
 
 // Message types per spec
 const MESSAGE_TYPES = {
@@ -28,6 +43,10 @@ const MESSAGE_TYPES = {
   SYNC: 'syn'       // Sync marker
 };
 
+// Claim entry actions (`act`)
+const CLAIM_ACT = '⊳';
+const RELEASE_ACT = '⊥';
+
 /**
  * Abbreviate agent ID for compact format
  * @param {string} agentId - Full agent ID
@@ -44,8 +63,26 @@ function abbreviateAgentId(agentId) {
 /**
  * Get current timestamp in HH:MM:SS format
  */
-function getTimestamp() {
-  return new Date().toISOString().slice(11, 19);
+function getTimestamp(now = new Date()) {
+  return now.toISOString().slice(11, 19);
+}
+
+// Full write time for the `at` field: 'iso' (default), 'epoch' (ms) or 'none'
+const TIMESTAMP_FORMATS = {
+  iso: now => now.toISOString(),
+  epoch: now => String(now.getTime()),
+  none: () => undefined
+};
+
+/**
+ * Parse an `at` value (ISO 8601 or epoch milliseconds) to epoch milliseconds
+ * @param {string|number|Date} at - Time
+ * @returns {number|undefined} Milliseconds, or undefined if it is not a time
+ */
+function parseTime(at) {
+  if (at === undefined || at === null || at === '') return undefined;
+  const ms = at instanceof Date ? at.getTime() : /^\d+$/.test(String(at)) ? Number(at) : Date.parse(at);
+  return Number.isNaN(ms) ? undefined : ms;
 }
 
 /**
@@ -70,6 +107,82 @@ function simpleOmegaCompress(text) {
 // Stream log directory
 const STREAM_DIR = '.omega-stream';
 
+// Characters a value must escape, and what follows the backslash
+const ESCAPES = { '\\': '\\', '|': '|', '}': '}', '\n': 'n', '\r': 'r' };
+const UNESCAPES = Object.fromEntries(Object.entries(ESCAPES).map(([char, code]) => [code, char]));
+const KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+/**
+ * Escape a field value for a stream line
+ * @param {string} value - Any text
+ * @returns {string} Text without unescaped \, |, }, CR or LF
+ */
+export function escapeValue(value) {
+  return String(value).replace(/[\\|}\n\r]/g, char => '\\' + ESCAPES[char]);
+}
+
+/**
+ * Encode fields as one stream line (no trailing newline)
+ * @param {Object} fields - Field name → value, in line order; null/undefined values are skipped
+ * @returns {string} e.g. Ω{ts:21:12:42|from:aug|t:cht|m:a\|b}
+ * @throws {Error} On an invalid field name, or no fields
+ */
+export function encodeLine(fields) {
+  const pairs = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+  if (pairs.length === 0) throw new Error('A stream line needs at least one field');
+  return `Ω{${pairs.map(([key, value]) => {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid stream field name: ${JSON.stringify(key)}`);
+    return `${key}:${escapeValue(value)}`;
+  }).join('|')}}`;
+}
+
+/**
+ * Decode one stream line strictly
+ * @param {string} line - Line without its newline
+ * @returns {Object} Field name → unescaped value
+ * @throws {Error} "Malformed stream line at column N: …" for anything outside the grammar
+ */
+export function decodeLine(line) {
+  const fail = (at, reason) => {
+    throw new Error(`Malformed stream line at column ${at + 1}: ${reason}`);
+  };
+  if (!line.startsWith('Ω{')) fail(0, 'expected "Ω{"');
+
+  const fields = {};
+  let i = 2;
+  for (;;) {
+    const colon = line.indexOf(':', i);
+    const key = colon < 0 ? '' : line.slice(i, colon);
+    if (!KEY_PATTERN.test(key)) fail(i, 'expected a field name and ":"');
+    if (Object.prototype.hasOwnProperty.call(fields, key)) fail(i, `duplicate field "${key}"`);
+
+    let value = '';
+    for (i = colon + 1; ; i++) {
+      if (i >= line.length) fail(i, 'missing closing "}"');
+      const char = line[i];
+      if (char === '\\') {
+        const code = line[i + 1];
+        if (!Object.prototype.hasOwnProperty.call(UNESCAPES, code)) fail(i, `invalid escape "\\${code ?? ''}"`);
+        value += UNESCAPES[code];
+        i++;
+      } else if (char === '|' || char === '}') {
+        break;
+      } else if (char === '\n' || char === '\r') {
+        fail(i, 'unescaped line break');
+      } else {
+        value += char;
+      }
+    }
+    fields[key] = value;
+
+    if (line[i] === '}') {
+      if (i !== line.length - 1) fail(i + 1, 'text after closing "}"');
+      return fields;
+    }
+    i++;
+  }
+}
+
 /**
  * Initialize the stream directory
  */
@@ -81,9 +194,211 @@ export function initStreamDir(projectRoot = process.cwd()) {
   return streamPath;
 }
 
+const TAIL_CHUNK = 4096;
+
+/**
+ * Highest sequence number in a channel file, read from its end
+ * @param {string} logFile - Channel log path
+ * @returns {number} Last `n`, or 0 for a missing file or one without numbered entries
+ */
+function lastSequence(logFile) {
+  if (!existsSync(logFile)) return 0;
+  const size = statSync(logFile).size;
+  const fd = openSync(logFile, 'r');
+  try {
+    for (let chunk = TAIL_CHUNK; ; chunk *= 2) {
+      const start = Math.max(0, size - chunk);
+      const buffer = Buffer.alloc(size - start);
+      readSync(fd, buffer, 0, buffer.length, start);
+      const lines = buffer.toString('utf-8').split('\n');
+      if (start > 0) lines.shift();                    // partial first line
+      for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+          const n = Number(decodeLine(lines[i].replace(/\r$/, '')).n);
+          if (Number.isSafeInteger(n) && n > 0) return n;
+        } catch {
+          // Blank, legacy or malformed line: keep looking
+        }
+      }
+      if (start === 0) return 0;
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONCURRENT WRITERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// One write(2) of at most PIPE_BUF bytes to an O_APPEND file lands whole on local
+// filesystems, so `echo >>` writers that skip the lock still cannot tear a line
+export const MAX_LINE_BYTES = 4096;
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 5;
+
+const sleep = ms => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Read a lock file's inode and content through one descriptor, so they belong together
+function readLock(lockFile) {
+  const fd = openSync(lockFile, 'r');
+  try {
+    const { ino, mtimeMs } = fstatSync(fd);
+    return { ino, mtimeMs, text: readFileSync(fd, 'utf-8') };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+const sameLock = (a, b) => a.ino === b.ino && a.text === b.text;
+
+// A lock whose owner has exited, or that is older than any write takes, is stale
+function isStaleLock(lock, staleMs) {
+  const age = Date.now() - lock.mtimeMs;
+  let owner;
+  try {
+    owner = JSON.parse(lock.text);
+  } catch {
+    // Its owner is still writing it
+    return age > staleMs;
+  }
+  if (age > staleMs) return true;
+  if (owner.host !== hostname()) return false;
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (e) {
+    return e.code === 'ESRCH';
+  }
+}
+
+// Remove the stale lock that was read, but no other. Several writers can find the
+// same stale lock, and the first replaces it with its own, which the others must not
+// delete. So writers break locks one at a time, under <lock>.break, and re-read the
+// lock just before removing it. Returns false while another writer is breaking it.
+function breakStaleLock(lockFile, lock, staleMs) {
+  const breaker = `${lockFile}.break`;
+  try {
+    closeSync(openSync(breaker, 'wx'));
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+    // Held for microseconds, so an old one was left by a writer that died
+    try {
+      if (Date.now() - statSync(breaker).mtimeMs > staleMs) rmSync(breaker, { force: true });
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    return false;
+  }
+  try {
+    if (sameLock(readLock(lockFile), lock)) rmSync(lockFile);
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  } finally {
+    rmSync(breaker, { force: true });
+  }
+  return true;
+}
+
+/**
+ * Run fn while holding a channel's advisory lock file (<channel>.log.lock)
+ *
+ * The lock is created with O_EXCL, so one process holds it at a time; others retry
+ * until `timeout`. A lock left behind by a process that died (same host) or older
+ * than `stale` is removed, unless another writer has replaced it meanwhile. On
+ * release, only the caller's own lock is removed. Writers in this module take the
+ * lock for every append.
+ *
+ * @param {string} channel - Channel name
+ * @param {Function} fn - Called with the log file path; its result is returned
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Milliseconds to wait for the lock (default 5000)
+ * @param {number} options.stale - Age in milliseconds after which a lock is stale (default 10000)
+ * @returns {*} What fn returns
+ * @throws {Error} If the lock cannot be taken within `timeout`
+ */
+export function withStreamLock(channel, fn, options = {}) {
+  const { timeout = LOCK_TIMEOUT_MS, stale = LOCK_STALE_MS } = options;
+  const logFile = join(initStreamDir(), `${channel}.log`);
+  const lockFile = `${logFile}.lock`;
+  const deadline = Date.now() + timeout;
+
+  let mine;
+  for (;;) {
+    try {
+      const fd = openSync(lockFile, 'wx');
+      try {
+        mine = JSON.stringify({ pid: process.pid, host: hostname(), at: Date.now() });
+        writeSync(fd, mine);
+      } finally {
+        closeSync(fd);
+      }
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    let lock;
+    try {
+      lock = readLock(lockFile);
+    } catch (e) {
+      if (e.code === 'ENOENT') continue;
+      throw e;
+    }
+    if (isStaleLock(lock, stale) && breakStaleLock(lockFile, lock, stale)) continue;
+    if (Date.now() >= deadline) throw new Error(`Timed out after ${timeout}ms waiting for stream lock ${lockFile}`);
+    sleep(LOCK_RETRY_MS);
+  }
+
+  try {
+    return fn(logFile);
+  } finally {
+    // If the lock was broken as stale meanwhile, the one there now is another writer's
+    try {
+      if (readFileSync(lockFile, 'utf-8') === mine) rmSync(lockFile);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+}
+
+// Append one entry to a locked channel file; format is a TIMESTAMP_FORMATS entry
+function writeEntry(logFile, fields, format) {
+  const now = new Date();
+  const seq = lastSequence(logFile) + 1;
+  const at = format(now);
+  const line = encodeLine({ n: seq, ts: getTimestamp(now), at, ...fields }) + '\n';
+  const bytes = Buffer.byteLength(line, 'utf-8');
+  if (bytes > MAX_LINE_BYTES) {
+    throw new Error(`Stream line is ${bytes} bytes, over the ${MAX_LINE_BYTES}-byte limit; shorten the message`);
+  }
+  appendFileSync(logFile, line);
+  return { file: logFile, seq, ...(at ? { at } : {}) };
+}
+
+function timestampFormat(timestamp = 'iso') {
+  const format = TIMESTAMP_FORMATS[timestamp];
+  if (!format) throw new Error(`Unknown timestamp format: ${timestamp} (use iso, epoch or none)`);
+  return format;
+}
+
+/**
+ * Append one entry to a channel with the next sequence number and the write time
+ * @param {string} channel - Channel name
+ * @param {Object} fields - Entry fields after n/ts/at (from, t, …)
+ * @param {string} timestamp - `at` format: 'iso' (default), 'epoch' or 'none'
+ * @returns {{ file: string, seq: number, at?: string }}
+ * @throws {Error} If the encoded line exceeds MAX_LINE_BYTES
+ */
+function appendEntry(channel, fields, timestamp) {
+  const format = timestampFormat(timestamp);
+  return withStreamLock(channel, logFile => writeEntry(logFile, fields, format));
+}
+
 /**
  * Stream a message to the log file using Omega format
- * Format: Ω{ts:HH:MM:SS|from:AGENT|ch:CHANNEL|t:TYPE|m:MESSAGE}
+ * Format: Ω{n:SEQ|ts:HH:MM:SS|at:ISO|from:AGENT|ch:CHANNEL|t:TYPE|m:MESSAGE}
  *
  * @param {string} agentId - The agent posting the message
  * @param {string} message - The message content
@@ -91,111 +406,508 @@ export function initStreamDir(projectRoot = process.cwd()) {
  * @param {boolean} options.compress - Whether to Omega compress content (default: true)
  * @param {string} options.channel - Channel name (default: 'general')
  * @param {string} options.type - Message type: cht, sta, clm, tsk, err, syn (default: 'cht')
+ * @param {string} options.timestamp - `at` field: 'iso' (default), 'epoch' (ms) or 'none'
+ * @returns {Object} { logged, file, seq, at?, compressed, format }
  */
 export function streamMessage(agentId, message, options = {}) {
-  const { compress = true, channel = 'general', type = MESSAGE_TYPES.CHAT } = options;
-  const streamDir = initStreamDir();
-  const logFile = join(streamDir, `${channel}.log`);
+  const { compress = true, channel = 'general', type = MESSAGE_TYPES.CHAT, timestamp } = options;
 
-  const ts = getTimestamp();
   const from = abbreviateAgentId(agentId);
   const ch = channel.slice(0, 6); // Abbreviate channel
   const content = compress ? simpleOmegaCompress(message) : message;
 
-  // New Omega format per spec
-  const entry = `Ω{ts:${ts}|from:${from}|ch:${ch}|t:${type}|m:${content}}\n`;
-  appendFileSync(logFile, entry);
+  const entry = appendEntry(channel, { from, ch, t: type, m: content }, timestamp);
 
-  return { logged: true, file: logFile, compressed: compress, format: 'omega' };
+  return { logged: true, ...entry, compressed: compress, format: 'omega' };
 }
 
 /**
  * Stream a status update
+ * (options: channel, timestamp as for streamMessage)
  */
 export function streamStatus(agentId, status, workingOn, progress, options = {}) {
-  const { channel = 'general' } = options;
-  const streamDir = initStreamDir();
-  const logFile = join(streamDir, `${channel}.log`);
+  const { channel = 'general', timestamp } = options;
 
-  const ts = getTimestamp();
   const from = abbreviateAgentId(agentId);
   const s = status === 'active' ? 'act' : status === 'idle' ? 'idl' : 'wait';
   const w = workingOn ? workingOn.slice(0, 20) : '';
   const prg = progress ? progress.toFixed(1) : '';
 
-  const entry = `Ω{ts:${ts}|from:${from}|t:sta|s:${s}${w ? `|w:${w}` : ''}${prg ? `|prg:${prg}` : ''}}\n`;
-  appendFileSync(logFile, entry);
+  const entry = appendEntry(channel, { from, t: 'sta', s, w: w || undefined, prg: prg || undefined }, timestamp);
 
-  return { logged: true, file: logFile, type: 'status' };
+  return { logged: true, ...entry, type: 'status' };
 }
 
 /**
- * Stream a claim/lock announcement
+ * Stream a claim/lock announcement, without checking the registry (see tryClaim)
+ * (options: channel, timestamp as for streamMessage; ttl in seconds, for a claim)
  */
 export function streamClaim(agentId, resource, action = 'claim', options = {}) {
-  const { channel = 'general' } = options;
-  const streamDir = initStreamDir();
-  const logFile = join(streamDir, `${channel}.log`);
+  const { channel = 'general', timestamp, ttl } = options;
 
-  const ts = getTimestamp();
   const from = abbreviateAgentId(agentId);
-  const w = resource.slice(0, 30);
-  const act = action === 'claim' ? '⊳' : action === 'release' ? '⊥' : action;
+  const act = action === 'claim' ? CLAIM_ACT : action === 'release' ? RELEASE_ACT : action;
 
-  const entry = `Ω{ts:${ts}|from:${from}|t:clm|w:${w}|act:${act}}\n`;
-  appendFileSync(logFile, entry);
+  const fields = { from, agent: agentId, t: 'clm', w: resource, act, ttl: ttl || undefined };
+  const entry = appendEntry(channel, fields, timestamp);
 
-  return { logged: true, file: logFile, type: 'claim' };
+  return { logged: true, ...entry, type: 'claim' };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLAIM REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Seconds a tryClaim lease lasts unless renewed
+export const DEFAULT_CLAIM_TTL = 300;
+
+// Decoded entries of a channel file, in file order; lines that fail the grammar are skipped
+function readEntries(logFile) {
+  if (!existsSync(logFile)) return [];
+  const entries = [];
+  for (const raw of readFileSync(logFile, 'utf-8').split('\n')) {
+    if (!raw.startsWith('Ω')) continue;
+    try {
+      entries.push(decodeLine(raw.replace(/\r$/, '')));
+    } catch {
+      // Malformed: verifyStream reports it
+    }
+  }
+  return entries;
+}
+
+/**
+ * Replay claim entries into current holders
+ *
+ * A claim takes a resource that is free, expired or already held by the same agent
+ * (a renewal: the lease restarts, `since` is kept). A claim on a resource another
+ * agent holds, or a release by anyone but the holder, changes nothing and is listed
+ * as a conflict. Leases run `ttl` seconds from the entry's `at`; entries without
+ * `ttl` or `at` hold until released. Entries written after `now` are ignored.
+ * Agents are told apart by the full ID in `agent`; `from` is abbreviated and only
+ * stands in for entries written without `agent`.
+ *
+ * @param {Object[]} entries - Decoded stream entries, in file order
+ * @param {number} now - Epoch milliseconds at which to judge expiry
+ * @returns {{ claims: Object[], conflicts: Object[] }}
+ */
+function replayClaims(entries, now) {
+  const holders = new Map();
+  const conflicts = [];
+  const active = (holder, time) => holder && (holder.expiresAt === null || holder.expiresAt > time);
+
+  for (const fields of entries) {
+    if (fields.t !== 'clm' || !fields.w || !fields.from) continue;
+    const resource = fields.w;
+    const agent = fields.agent ?? fields.from;
+    const seq = /^\d+$/.test(fields.n ?? '') ? Number(fields.n) : undefined;
+    const time = parseTime(fields.at);
+    if (time > now) continue;                          // after the moment asked about
+    const current = holders.get(resource);
+    const held = active(current, time ?? now) ? current : undefined;
+
+    if (fields.act === CLAIM_ACT) {
+      if (held && held.owner !== agent) {
+        conflicts.push({ resource, agent, action: 'claim', holder: held.owner, seq });
+        continue;
+      }
+      const ttl = Number(fields.ttl);
+      holders.set(resource, {
+        resource,
+        owner: agent,
+        from: fields.from,
+        since: held ? held.since : fields.at,
+        expiresAt: ttl > 0 && time !== undefined ? time + ttl * 1000 : null,
+        seq
+      });
+    } else if (fields.act === RELEASE_ACT) {
+      if (held && held.owner !== agent) {
+        conflicts.push({ resource, agent, action: 'release', holder: held.owner, seq });
+        continue;
+      }
+      holders.delete(resource);
+    }
+  }
+
+  const claims = [...holders.values()]
+    .filter(holder => active(holder, now))
+    .map(({ expiresAt, ...holder }) => ({
+      ...holder,
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString()
+    }));
+  return { claims, conflicts };
+}
+
+/**
+ * Current claims on a channel, derived from its `clm` entries
+ * @param {string} channel - Channel name (default: 'general')
+ * @param {Object} options - Options
+ * @param {string|number|Date} options.now - Report the claims as of this time (default: now)
+ * @returns {{ claims: Object[], conflicts: Object[] }} `claims` lists
+ *   { resource, owner, from, since, expiresAt (ISO or null), seq } for each held
+ *   resource; `conflicts` lists { resource, agent, action, holder, seq } for each claim
+ *   or release that was refused. Owners and agents are full agent IDs (abbreviated
+ *   ones for entries written without `agent`); `from` is the abbreviated owner
+ */
+export function getClaims(channel = 'general', options = {}) {
+  const now = parseTime(options.now ?? new Date());
+  const logFile = join(initStreamDir(), `${channel}.log`);
+  return replayClaims(readEntries(logFile), now);
+}
+
+/**
+ * Claim a resource if no other agent holds it, or renew this agent's lease
+ *
+ * The check and the append happen under the channel lock, so of two agents
+ * claiming the same resource exactly one succeeds.
+ *
+ * @param {string} agentId - The agent claiming
+ * @param {string} resource - Resource name (e.g. a file path)
+ * @param {Object} options - Options
+ * @param {string} options.channel - Channel name (default: 'general')
+ * @param {number} options.ttl - Lease in seconds (default 300); 0 holds until released
+ * @returns {Object} { claimed: true, renewed, resource, seq, expiresAt } or
+ *   { claimed: false, resource, holder } with the holder's claim
+ */
+export function tryClaim(agentId, resource, options = {}) {
+  const { channel = 'general', ttl = DEFAULT_CLAIM_TTL } = options;
+  if (!resource) throw new Error('tryClaim needs a resource');
+  if (!Number.isFinite(ttl) || ttl < 0) throw new Error(`Invalid claim ttl: ${ttl} (seconds, 0 for no expiry)`);
+  const from = abbreviateAgentId(agentId);
+
+  return withStreamLock(channel, logFile => {
+    const held = replayClaims(readEntries(logFile), Date.now()).claims.find(c => c.resource === resource);
+    if (held && held.owner !== agentId) return { claimed: false, resource, holder: held };
+
+    const fields = { from, agent: agentId, t: 'clm', w: resource, act: CLAIM_ACT, ttl: ttl || undefined };
+    const entry = writeEntry(logFile, fields, TIMESTAMP_FORMATS.iso);
+    return {
+      claimed: true,
+      renewed: Boolean(held),
+      resource,
+      seq: entry.seq,
+      expiresAt: ttl ? new Date(Date.parse(entry.at) + ttl * 1000).toISOString() : null
+    };
+  });
+}
+
+/**
+ * Release a resource this agent holds
+ * @param {string} agentId - The agent releasing
+ * @param {string} resource - Resource name
+ * @param {Object} options - Options
+ * @param {string} options.channel - Channel name (default: 'general')
+ * @returns {Object} { released: true, resource, seq }, or { released: false, resource,
+ *   holder } where holder is the other agent's claim, or null if nobody held it
+ */
+export function releaseClaim(agentId, resource, options = {}) {
+  const { channel = 'general' } = options;
+  const from = abbreviateAgentId(agentId);
+
+  return withStreamLock(channel, logFile => {
+    const held = replayClaims(readEntries(logFile), Date.now()).claims.find(c => c.resource === resource);
+    if (!held || held.owner !== agentId) return { released: false, resource, holder: held ?? null };
+
+    const fields = { from, agent: agentId, t: 'clm', w: resource, act: RELEASE_ACT };
+    const entry = writeEntry(logFile, fields, TIMESTAMP_FORMATS.iso);
+    return { released: true, resource, seq: entry.seq };
+  });
+}
+
+/**
+ * Parse one stream line (without its newline) into a message
+ * @param {string} raw - Line
+ * @returns {Object} { seq, timestamp, time, author, channel, type, message, …, fields, raw },
+ *   or { timestamp, author, message, legacy: true } for a legacy line
+ * @throws {Error} If the line is neither a valid Omega line nor a legacy line
+ */
+function parseMessage(raw) {
+  if (raw.startsWith('Ω')) {
+    const fields = decodeLine(raw);
+    return {
+      seq: /^\d+$/.test(fields.n ?? '') ? Number(fields.n) : undefined,
+      timestamp: fields.ts,
+      time: parseTime(fields.at),
+      author: fields.from,
+      channel: fields.ch,
+      type: fields.t,
+      message: fields.m,
+      status: fields.s,
+      workingOn: fields.w,
+      progress: fields.prg,
+      action: fields.act,
+      fields,
+      raw
+    };
+  }
+  // Legacy format fallback
+  const legacyMatch = raw.match(/^\[([^\]]+)\] ([^:]+): (.+)$/);
+  if (!legacyMatch) throw new Error('Not an Omega or legacy stream line');
+  return { timestamp: legacyMatch[1], author: legacyMatch[2], message: legacyMatch[3], legacy: true };
 }
 
 /**
  * Read recent messages from stream and parse Omega format
  * @param {string} channel - Channel name
  * @param {number} lines - Number of lines to read (default: 50)
+ * @param {Object} options - Options
+ * @param {number} options.sinceSeq - Only entries with a sequence number above this
+ * @param {string|number|Date} options.sinceTime - Only entries written at or after this
+ *   time (ISO 8601, epoch ms or a Date); entries without `at` are left out
+ * @returns {{ messages: Object[], count: number, malformed: Object[], lastSeq: number }}
+ *   With a filter, `lines` limits the matching entries. Lines that are neither valid
+ *   Omega lines nor legacy lines are left out of `messages` and listed in `malformed`
+ *   as { line (1-based, in the file), raw, error }. `lastSeq` is the highest sequence
+ *   number seen, to pass back as `sinceSeq`
  */
-export function readStream(channel = 'general', lines = 50) {
+export function readStream(channel = 'general', lines = 50, options = {}) {
+  const { sinceSeq, sinceTime } = options;
+  const since = parseTime(sinceTime);
+  if (sinceTime !== undefined && since === undefined) throw new Error(`Invalid sinceTime: ${sinceTime}`);
   const streamDir = initStreamDir();
   const logFile = join(streamDir, `${channel}.log`);
 
   if (!existsSync(logFile)) {
-    return { messages: [], count: 0 };
+    return { messages: [], count: 0, malformed: [], lastSeq: sinceSeq ?? 0 };
   }
 
   const content = readFileSync(logFile, 'utf-8');
-  const allLines = content.trim().split('\n').filter(Boolean);
-  const recentLines = allLines.slice(-lines);
-
-  const messages = recentLines.map(line => {
-    // Parse new Omega format: Ω{ts:...|from:...|...}
-    const omegaMatch = line.match(/^Ω\{(.+)\}$/);
-    if (omegaMatch) {
-      const fields = {};
-      omegaMatch[1].split('|').forEach(pair => {
-        const [key, ...valueParts] = pair.split(':');
-        fields[key] = valueParts.join(':'); // Handle colons in values
-      });
-      return {
-        timestamp: fields.ts,
-        author: fields.from,
-        channel: fields.ch,
-        type: fields.t,
-        message: fields.m,
-        status: fields.s,
-        workingOn: fields.w,
-        progress: fields.prg,
-        action: fields.act,
-        raw: line
-      };
+  const allLines = content.split('\n')
+    .map((raw, index) => ({ raw: raw.replace(/\r$/, ''), line: index + 1 }))   // tolerate CRLF files
+    .filter(l => l.raw.trim());
+  const unfiltered = sinceSeq === undefined && since === undefined;
+
+  let messages = [];
+  let malformed = [];
+  let lastSeq = sinceSeq ?? 0;
+  for (const { raw, line } of unfiltered ? allLines.slice(-lines) : allLines) {
+    let message;
+    try {
+      message = parseMessage(raw);
+    } catch (e) {
+      malformed.push({ line, raw, error: e.message });
+      continue;
+    }
+    // Legacy lines have no sequence or date, so never match a filter
+    if (message.legacy) {
+      if (unfiltered) messages.push(message);
+      continue;
     }
-    // Legacy format fallback
-    const legacyMatch = line.match(/^\[([^\]]+)\] ([^:]+): (.+)$/);
-    if (legacyMatch) {
-      return { timestamp: legacyMatch[1], author: legacyMatch[2], message: legacyMatch[3], legacy: true };
+    if (message.seq > lastSeq) lastSeq = message.seq;
+    if (sinceSeq !== undefined && !(message.seq > sinceSeq)) continue;
+    if (since !== undefined && !(message.time >= since)) continue;
+    messages.push(message);
+  }
+  if (!unfiltered) {
+    messages = messages.slice(-lines);
+    malformed = malformed.slice(-lines);
+  }
+
+  return { messages, count: messages.length, malformed, lastSeq };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FOLLOW
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Fallback check, for filesystems where fs.watch misses changes
+const FOLLOW_INTERVAL_MS = 1000;
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  return buffer.subarray(0, readSync(fd, buffer, 0, length, position));
+}
+
+/**
+ * Follow a channel: deliver each new message as it is appended, like `tail -F`
+ *
+ * Watches the stream directory and remembers the byte offset read so far, so each
+ * change costs only the new bytes. A line is delivered once its newline is written.
+ * If the file is truncated or rewritten, or replaced (rotated, deleted and recreated),
+ * reading starts again from the beginning of the new file.
+ *
+ * Usage:
+ *   const follower = followStream('dev', m => console.log(m.author, m.message), { fromSeq: 41 });
+ *   follower.close();
+ *
+ * @param {string} channel - Channel name
+ * @param {Function} onMessage - Called with each message, as readStream returns them
+ * @param {Object} options - Options
+ * @param {number} options.fromSeq - Also deliver the entries already in the file with a
+ *   sequence number above this, before returning. Default: only entries written from now on
+ * @param {Function} options.onMalformed - Called with { offset, raw, error } for each
+ *   line that is not a stream line (default: skipped)
+ * @param {Function} options.onError - Called with read and watch errors, and with errors
+ *   thrown by onMessage or onMalformed. They happen in fs.watch and timer callbacks, where
+ *   a throw would crash the process, so by default they are logged and following goes on
+ * @param {number} options.interval - Milliseconds between fallback checks (default 1000)
+ * @returns {{ file: string, close: Function }} close() stops following
+ */
+export function followStream(channel, onMessage, options = {}) {
+  const { fromSeq, onMalformed, interval = FOLLOW_INTERVAL_MS } = options;
+  const onError = options.onError || (e => console.error(`[omega-stream] followStream ${channel}: ${e.message}`));
+  const streamDir = initStreamDir();
+  const name = `${channel}.log`;
+  const logFile = join(streamDir, name);
+
+  let ino = null;                                     // file being followed
+  let offset = 0;                                     // bytes of it already delivered
+  let head = Buffer.alloc(0);                         // its first line, to notice a rewrite
+  let sinceSeq = fromSeq;                             // filters the backlog only
+  let closed = false;
+
+  const deliver = (raw, at) => {
+    let message;
+    try {
+      message = parseMessage(raw);
+    } catch (e) {
+      onMalformed?.({ offset: at, raw, error: e.message });
+      return;
+    }
+    if (sinceSeq !== undefined && !(message.seq > sinceSeq)) return;
+    onMessage(message);
+  };
+
+  // Read what was appended since the last check; returns [line, byte offset] pairs
+  const readNew = toEnd => {
+    let fd;
+    try {
+      fd = openSync(logFile, 'r');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      ino = null;                                     // removed: follow whatever replaces it
+      offset = 0;
+      head = Buffer.alloc(0);
+      return [];
+    }
+    try {
+      const stats = fstatSync(fd);
+      if (stats.ino !== ino || stats.size < offset || !readBytes(fd, 0, head.length).equals(head)) {
+        ino = stats.ino;                              // replaced, truncated or rewritten
+        offset = 0;
+        head = Buffer.alloc(0);
+      }
+      // Stop at the last newline; a line still being written is read next time
+      const buffer = readBytes(fd, offset, stats.size - offset);
+      const end = buffer.lastIndexOf(0x0a);
+      if (end < 0) return [];
+      const start = offset;
+      offset += end + 1;
+      if (head.length === 0) {
+        const first = readBytes(fd, 0, Math.min(offset, MAX_LINE_BYTES));
+        head = first.subarray(0, first.indexOf(0x0a) + 1 || first.length);
+      }
+      if (toEnd) return [];
+
+      const lines = [];
+      let at = start;
+      for (const line of buffer.subarray(0, end).toString('utf-8').split('\n')) {
+        lines.push([line.replace(/\r$/, ''), at]);
+        at += Buffer.byteLength(line, 'utf-8') + 1;
+      }
+      return lines;
+    } finally {
+      closeSync(fd);
+    }
+  };
+
+  const check = (toEnd = false) => {
+    if (closed) return;
+    for (const [raw, at] of readNew(toEnd)) {
+      if (!raw.trim()) continue;
+      try {
+        deliver(raw, at);
+      } catch (e) {
+        onError(e);                                   // a failing callback skips only its line
+      }
+    }
+  };
+
+  const safeCheck = () => {
+    try {
+      check();
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  // Watch the directory, not the file, so a replaced file is noticed
+  const watcher = watch(streamDir, (event, filename) => {
+    if (!filename || filename === name) safeCheck();
+  });
+  watcher.on('error', onError);
+  const timer = setInterval(safeCheck, interval);
+
+  const close = () => {
+    closed = true;
+    watcher.close();
+    clearInterval(timer);
+  };
+  try {
+    check(fromSeq === undefined);                     // without fromSeq, skip what is there
+  } catch (e) {
+    close();
+    throw e;
+  }
+  sinceSeq = undefined;
+  return { file: logFile, close };
+}
+
+/**
+ * Check a channel file for torn or interleaved writes
+ *
+ * Every line must match the line grammar and fit in MAX_LINE_BYTES, and numbered
+ * entries must count up by one. Two writes that interleaved show up as a line that
+ * fails the grammar, and the entry they destroyed as a gap in the sequence.
+ *
+ * @param {string} channel - Channel name
+ * @returns {{ valid: boolean, lines: number, entries: number, lastSeq: number, problems: Object[] }}
+ *   `problems` lists { line (1-based), raw, error }; legacy lines are accepted
+ */
+export function verifyStream(channel = 'general') {
+  const logFile = join(initStreamDir(), `${channel}.log`);
+  const result = { valid: true, lines: 0, entries: 0, lastSeq: 0, problems: [] };
+  if (!existsSync(logFile)) return result;
+
+  const content = readFileSync(logFile, 'utf-8');
+  const lines = content.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else {
+    result.problems.push({ line: lines.length, raw: lines[lines.length - 1], error: 'Last line has no newline (write in progress or torn)' });
+  }
+  result.lines = lines.length;
+
+  lines.forEach((text, index) => {
+    const raw = text.replace(/\r$/, '');
+    const problem = error => result.problems.push({ line: index + 1, raw, error });
+    if (!raw.trim()) return problem('Empty line');
+    if (Buffer.byteLength(text, 'utf-8') + 1 > MAX_LINE_BYTES) problem(`Line is over ${MAX_LINE_BYTES} bytes`);
+    if (!raw.startsWith('Ω')) {
+      if (!/^\[([^\]]+)\] ([^:]+): (.+)$/.test(raw)) problem('Not an Omega or legacy stream line');
+      return;
+    }
+    let fields;
+    try {
+      fields = decodeLine(raw);
+    } catch (e) {
+      return problem(e.message);
+    }
+    result.entries++;
+    if (fields.n === undefined) return;
+    const seq = Number(fields.n);
+    if (!/^\d+$/.test(fields.n) || seq === 0) return problem(`Invalid sequence number: ${fields.n}`);
+    if (seq <= result.lastSeq) {
+      problem(`Sequence ${seq} after ${result.lastSeq} (duplicate or out of order)`);
+    } else {
+      if (result.lastSeq > 0 && seq !== result.lastSeq + 1) problem(`Sequence jumps from ${result.lastSeq} to ${seq}`);
+      result.lastSeq = seq;
     }
-    return { raw: line };
   });
 
-  return { messages, count: messages.length };
+  result.problems.sort((a, b) => a.line - b.line);
+  result.valid = result.problems.length === 0;
+  return result;
 }
 
 /**
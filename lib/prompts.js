@@ -7,6 +7,8 @@
  * TWEAK PROMPTS: Modify SYSTEM_PROMPT and FEW_SHOT_EXAMPLES to adjust output style
  */
 
+import { measureCompression, DEFAULT_ENCODING } from './tokenizers.mjs';
+
 // System prompt for the Omega Kernel Compiler
 export const SYSTEM_PROMPT = `You are an Omega Kernel Compiler (Ω編譯器). Your ONLY task is to transform verbose natural-language AI agent specifications into ultra-compressed Omega DSL kernels.
 
@@ -166,18 +168,22 @@ export function calculateStats(original, compressed) {
   const compressedChars = compressed.length;
   const ratio = originalChars / compressedChars;
   
-  // Rough token estimates (avg 4 chars per token for English, 1.5 for Chinese)
-  const originalTokens = Math.ceil(originalChars / 4);
-  const compressedTokens = Math.ceil(compressedChars / 1.5);
+  // Real token counts per encoding; the headline numbers use the default (o200k_base)
+  const { originalBytes, omegaBytes, tokens } = measureCompression(original, compressed);
+  const originalTokens = tokens[DEFAULT_ENCODING].original;
+  const compressedTokens = tokens[DEFAULT_ENCODING].omega;
   const tokenRatio = originalTokens / compressedTokens;
   
   return {
     originalChars,
     compressedChars,
     charRatio: Math.round(ratio * 10) / 10,
+    originalBytes,
+    compressedBytes: omegaBytes,
     originalTokens,
     compressedTokens,
     tokenRatio: Math.round(tokenRatio * 10) / 10,
+    tokens,
     compressionPercent: Math.round((1 - compressedChars / originalChars) * 100)
   };
 }
@@ -0,0 +1,462 @@
+/**
+ * Tokenizers
+ *
+ * Real token counts (via gpt-tokenizer) and UTF-8 byte sizes, so reported
+ * savings are measured rather than estimated from character counts.
+ *
+ * Other model families (Qwen, Llama, DeepSeek) are counted with their own
+ * vocabularies: register a local Hugging Face `tokenizer.json` or a GGUF model
+ * file (only the vocabulary in its header is read) per family.
+ *
+ * Usage:
+ *   import { countTokens, measureCompression, registerTokenizer } from './tokenizers.mjs';
+ *   countTokens('Ω核:你為助', 'cl100k_base');
+ *   registerTokenizer('qwen', '/models/qwen2.5-1.5b-instruct-q4_k_m.gguf');
+ *   const { tokens } = measureCompression(english, omega);
+ *   console.log(tokens.o200k_base.savings, tokens.qwen.savings);
+ */
+
+import { closeSync, openSync, readFileSync, readSync } from 'node:fs';
+import { gzipSync } from 'node:zlib';
+import { countTokens as countCl100k } from 'gpt-tokenizer/encoding/cl100k_base';
+import { countTokens as countO200k } from 'gpt-tokenizer/encoding/o200k_base';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENCODINGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// cl100k_base: GPT-4 / GPT-3.5; o200k_base: GPT-4o and later
+export const ENCODINGS = {
+  cl100k_base: countCl100k,
+  o200k_base: countO200k
+};
+
+export const DEFAULT_ENCODING = 'o200k_base';
+
+/**
+ * Count tokens in text
+ * @param {string} text - Text to tokenize
+ * @param {string} encoding - Encoding name (see ENCODINGS)
+ * @returns {number} Token count
+ */
+export function countTokens(text, encoding = DEFAULT_ENCODING) {
+  const count = ENCODINGS[encoding];
+  if (!count) throw new Error(`Unknown encoding: ${encoding}`);
+  return count(text);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BPE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Pre-tokenizer patterns by GGUF `tokenizer.ggml.pre` name (from llama.cpp)
+const PRE_TOKENIZERS = {
+  gpt2: "'s|'t|'re|'ve|'m|'ll|'d| ?\\p{L}+| ?\\p{N}+| ?[^\\s\\p{L}\\p{N}]+|\\s+(?!\\S)|\\s+",
+  qwen2: "(?i:'s|'t|'re|'ve|'m|'ll|'d)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+",
+  'llama-bpe': "(?i:'s|'t|'re|'ve|'m|'ll|'d)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+",
+  'deepseek-v3': [
+    '\\p{N}{1,3}',
+    '[一-龥぀-ゟ゠-ヿ]+',
+    "[!\"#$%&'()*+,\\-./:;<=>?@\\[\\\\\\]^_`{|}~][A-Za-z]+|[^\\r\\n\\p{L}\\p{P}\\p{S}]?[\\p{L}\\p{M}]+| ?[\\p{P}\\p{S}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+"
+  ]
+};
+
+// Oniguruma-style patterns from tokenizer.json to JS: `(?i:...)` has no JS equivalent
+function toRegExp(pattern) {
+  const source = pattern.replace(/\(\?i:([^)]*)\)/g, (_, body) =>
+    `(?:${body.replace(/[a-z]/gi, c => `[${c.toLowerCase()}${c.toUpperCase()}]`)})`);
+  return new RegExp(source, 'gu');
+}
+
+// Split each piece on a pattern, keeping both the matches and the text between them
+function splitIsolated(pieces, pattern) {
+  const out = [];
+  for (const piece of pieces) {
+    let last = 0;
+    for (const match of piece.matchAll(pattern)) {
+      if (match.index > last) out.push(piece.slice(last, match.index));
+      if (match[0]) out.push(match[0]);
+      last = match.index + match[0].length;
+    }
+    if (last < piece.length) out.push(piece.slice(last));
+  }
+  return out;
+}
+
+// GPT-2's reversible byte → printable character map used by byte-level BPE vocabularies
+const BYTE_CHARS = (() => {
+  const chars = [];
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    const printable = (b >= 0x21 && b <= 0x7e) || (b >= 0xa1 && b <= 0xac) || b >= 0xae;
+    chars.push(String.fromCharCode(printable ? b : 256 + extra++));
+  }
+  return chars;
+})();
+
+/**
+ * Merge adjacent symbols, lowest rank first, until no pair has a rank
+ * @param {string[]} symbols - Initial symbols (modified in place)
+ * @param {Function} rankOf - (left, right) => rank, or undefined if the pair never merges
+ * @returns {string[]} Final tokens
+ */
+function bpe(symbols, rankOf) {
+  while (symbols.length > 1) {
+    let best = Infinity;
+    let at = -1;
+    for (let i = 0; i < symbols.length - 1; i++) {
+      const rank = rankOf(symbols[i], symbols[i + 1]);
+      if (rank !== undefined && rank < best) {
+        best = rank;
+        at = i;
+      }
+    }
+    if (at < 0) break;
+    symbols.splice(at, 2, symbols[at] + symbols[at + 1]);
+  }
+  return symbols;
+}
+
+// Memoize per pre-tokenized piece; prompts repeat the same words a lot
+function cached(tokenizePiece) {
+  const cache = new Map();
+  return piece => {
+    let tokens = cache.get(piece);
+    if (!tokens) {
+      if (cache.size > 50000) cache.clear();
+      tokens = tokenizePiece(piece);
+      cache.set(piece, tokens);
+    }
+    return tokens;
+  };
+}
+
+/**
+ * Byte-level BPE (GPT-2 style: Qwen, Llama 3, DeepSeek)
+ * @param {Object} spec - { name, vocab: Map, rankOf, patterns: string[], ignoreMerges }
+ */
+function byteLevelTokenizer({ name, vocab, rankOf, patterns, ignoreMerges = false }) {
+  const regexps = patterns.map(toRegExp);
+  const encoder = new TextEncoder();
+  const tokenizePiece = cached(piece => {
+    const mapped = Array.from(encoder.encode(piece), b => BYTE_CHARS[b]);
+    if (ignoreMerges && vocab.has(mapped.join(''))) return [mapped.join('')];
+    return bpe(mapped, rankOf);
+  });
+
+  const tokenize = text => regexps.reduce(splitIsolated, [text]).flatMap(tokenizePiece);
+  return { name, type: 'byte-bpe', vocabSize: vocab.size, tokenize, countTokens: text => tokenize(text).length };
+}
+
+/**
+ * SentencePiece-style BPE over characters with '▁' for spaces (Llama 2, TinyLlama).
+ * Characters missing from the vocabulary fall back to one token per UTF-8 byte.
+ * @param {Object} spec - { name, vocab: Map, rankOf, addPrefix, byteFallback }
+ */
+function sentencePieceTokenizer({ name, vocab, rankOf, addPrefix = true, byteFallback = true }) {
+  const encoder = new TextEncoder();
+  const tokenizePiece = cached(piece => bpe([...piece], rankOf).flatMap(token => {
+    if (vocab.has(token)) return [token];
+    if (!byteFallback) return ['<unk>'];
+    return Array.from(encoder.encode(token), b => `<0x${b.toString(16).toUpperCase().padStart(2, '0')}>`);
+  }));
+
+  const tokenize = text => {
+    if (!text) return [];
+    const normalized = (addPrefix ? '▁' : '') + text.replace(/ /g, '▁');
+    // Pieces start at a run of '▁'; merges never cross a word boundary
+    return (normalized.match(/▁*[^▁]+|▁+/g) || []).flatMap(tokenizePiece);
+  };
+  return { name, type: 'spm', vocabSize: vocab.size, tokenize, countTokens: text => tokenize(text).length };
+}
+
+// Merge ranks from a merges list ("a b" strings or [a, b] pairs)
+function mergeRanks(merges) {
+  const ranks = new Map();
+  merges.forEach((merge, rank) => {
+    const [left, right] = Array.isArray(merge) ? merge : merge.split(' ');
+    const key = `${left} ${right}`;
+    if (!ranks.has(key)) ranks.set(key, rank);
+  });
+  return (left, right) => ranks.get(`${left} ${right}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TOKENIZER FILES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Every node of a (possibly Sequence) normalizer / pre-tokenizer
+function flattenSteps(step) {
+  if (!step) return [];
+  const children = step.pretokenizers || step.normalizers;
+  return children ? children.flatMap(flattenSteps) : [step];
+}
+
+/**
+ * Build a tokenizer from a parsed Hugging Face tokenizer.json
+ * @param {Object} json - tokenizer.json contents
+ * @param {string} name - Name for reports
+ */
+function fromTokenizerJson(json, name) {
+  const { model } = json;
+  if (model?.type !== 'BPE') {
+    throw new Error(`Unsupported tokenizer model in ${name}: ${model?.type} (only BPE is supported)`);
+  }
+  const vocab = new Map(Object.entries(model.vocab));
+  const rankOf = mergeRanks(model.merges);
+  const preTokenizers = flattenSteps(json.pre_tokenizer);
+  const byteLevel = preTokenizers.find(step => step.type === 'ByteLevel');
+
+  if (byteLevel) {
+    const patterns = preTokenizers
+      .filter(step => step.type === 'Split' && step.pattern?.Regex)
+      .map(step => step.pattern.Regex);
+    if (!patterns.length || byteLevel.use_regex) patterns.push(PRE_TOKENIZERS.gpt2);
+    return byteLevelTokenizer({ name, vocab, rankOf, patterns, ignoreMerges: Boolean(model.ignore_merges) });
+  }
+
+  const metaspace = preTokenizers.find(step => step.type === 'Metaspace');
+  const prepend = flattenSteps(json.normalizer).some(step => step.type === 'Prepend');
+  const addPrefix = prepend || Boolean(metaspace && (metaspace.add_prefix_space ?? metaspace.prepend_scheme !== 'never'));
+  return sentencePieceTokenizer({ name, vocab, rankOf, addPrefix, byteFallback: Boolean(model.byte_fallback) });
+}
+
+// GGUF metadata value types (https://github.com/ggml-org/ggml/blob/master/docs/gguf.md)
+const GGUF_SCALARS = {
+  0: [1, 'readUInt8'], 1: [1, 'readInt8'], 2: [2, 'readUInt16LE'], 3: [2, 'readInt16LE'],
+  4: [4, 'readUInt32LE'], 5: [4, 'readInt32LE'], 6: [4, 'readFloatLE'], 7: [1, 'readUInt8'],
+  10: [8, 'readBigUInt64LE'], 11: [8, 'readBigInt64LE'], 12: [8, 'readDoubleLE']
+};
+const GGUF_STRING = 8;
+const GGUF_ARRAY = 9;
+
+/**
+ * Read the metadata key/values from a GGUF file header. Model files are large,
+ * so the file is read in chunks and stops before the tensor data.
+ * @param {string} path - GGUF file
+ * @returns {Object} Metadata by key
+ */
+export function readGGUFMetadata(path) {
+  const fd = openSync(path, 'r');
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+  let position = 0;
+
+  // Make sure `size` unread bytes are buffered
+  const need = size => {
+    if (buffer.length - offset >= size) return;
+    const chunk = Buffer.alloc(Math.max(size, 1 << 20));
+    const read = readSync(fd, chunk, 0, chunk.length, position);
+    position += read;
+    buffer = Buffer.concat([buffer.subarray(offset), chunk.subarray(0, read)]);
+    offset = 0;
+    if (buffer.length < size) throw new Error(`Truncated GGUF file: ${path}`);
+  };
+  const scalar = type => {
+    const [size, method] = GGUF_SCALARS[type] || [];
+    if (!method) throw new Error(`Unknown GGUF value type ${type} in ${path}`);
+    need(size);
+    const value = buffer[method](offset);
+    offset += size;
+    return type === 7 ? value !== 0 : typeof value === 'bigint' ? Number(value) : value;
+  };
+  const string = () => {
+    const length = scalar(10);
+    need(length);
+    const value = buffer.toString('utf8', offset, offset + length);
+    offset += length;
+    return value;
+  };
+  const value = type => {
+    if (type === GGUF_STRING) return string();
+    if (type === GGUF_ARRAY) {
+      const itemType = scalar(4);
+      const length = scalar(10);
+      return Array.from({ length }, () => value(itemType));
+    }
+    return scalar(type);
+  };
+
+  try {
+    need(4);
+    if (buffer.toString('latin1', 0, 4) !== 'GGUF') throw new Error(`Not a GGUF file: ${path}`);
+    offset = 4;
+    const version = scalar(4);
+    if (version < 2) throw new Error(`Unsupported GGUF version ${version}: ${path}`);
+    scalar(10);                                   // tensor count
+    const kvCount = scalar(10);
+    const metadata = {};
+    for (let i = 0; i < kvCount; i++) {
+      const key = string();
+      metadata[key] = value(scalar(4));
+    }
+    return metadata;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * Build a tokenizer from GGUF metadata (`tokenizer.ggml.*`)
+ * @param {Object} metadata - From readGGUFMetadata
+ * @param {string} name - Name for reports
+ */
+function fromGGUF(metadata, name) {
+  const model = metadata['tokenizer.ggml.model'];
+  const tokens = metadata['tokenizer.ggml.tokens'];
+  if (!tokens) throw new Error(`No tokenizer vocabulary in ${name}`);
+  const vocab = new Map(tokens.map((token, id) => [token, id]));
+
+  if (model === 'gpt2') {
+    const pre = metadata['tokenizer.ggml.pre'];
+    const patterns = [].concat(PRE_TOKENIZERS[pre] || PRE_TOKENIZERS.gpt2);
+    const rankOf = mergeRanks(metadata['tokenizer.ggml.merges'] || []);
+    return byteLevelTokenizer({ name, vocab, rankOf, patterns, ignoreMerges: pre === 'llama-bpe' });
+  }
+  if (model === 'llama') {
+    // SentencePiece: the merged piece with the highest score wins
+    const scores = metadata['tokenizer.ggml.scores'] || [];
+    const rankOf = (left, right) => {
+      const id = vocab.get(left + right);
+      return id === undefined ? undefined : -(scores[id] ?? 0);
+    };
+    const addPrefix = metadata['tokenizer.ggml.add_space_prefix'] ?? true;
+    return sentencePieceTokenizer({ name, vocab, rankOf, addPrefix, byteFallback: vocab.has('<0x00>') });
+  }
+  throw new Error(`Unsupported GGUF tokenizer model in ${name}: ${model}`);
+}
+
+/**
+ * Load a tokenizer from a local file
+ * @param {string} path - Hugging Face tokenizer.json or GGUF model file
+ * @returns {{ name: string, type: string, vocabSize: number, tokenize: Function, countTokens: Function }}
+ */
+export function loadTokenizer(path) {
+  const name = String(path).split(/[\\/]/).pop();
+  if (name.toLowerCase().endsWith('.gguf')) {
+    return fromGGUF(readGGUFMetadata(path), name);
+  }
+  return fromTokenizerJson(JSON.parse(readFileSync(path, 'utf8')), name);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Tokenizer per model family (names as in mcp-compressor.mjs MODEL_FAMILIES).
+// GPT is built in; the others need a local vocabulary.
+const registry = new Map([
+  ['gpt', { name: DEFAULT_ENCODING, type: 'tiktoken', builtin: true, countTokens: countO200k }]
+]);
+
+/**
+ * Register the tokenizer for a model family
+ * @param {string} family - Model family, e.g. 'qwen', 'llama', 'deepseek'
+ * @param {string|Object} source - Path to tokenizer.json / .gguf, or an object with countTokens(text)
+ * @returns {{ family: string, name: string, type: string, vocabSize?: number }}
+ */
+export function registerTokenizer(family, source) {
+  const tokenizer = typeof source === 'string' || source instanceof URL ? loadTokenizer(source) : source;
+  if (typeof tokenizer?.countTokens !== 'function') {
+    throw new Error(`Tokenizer for ${family} must have a countTokens(text) function`);
+  }
+  registry.set(family, tokenizer);
+  return { family, name: tokenizer.name || family, type: tokenizer.type || 'custom', vocabSize: tokenizer.vocabSize };
+}
+
+/**
+ * Tokenizer registered for a model family
+ * @param {string} family - Model family
+ * @returns {Object|undefined} Tokenizer, or undefined if none is registered
+ */
+export function getTokenizer(family) {
+  return registry.get(family);
+}
+
+/**
+ * List registered tokenizers
+ * @returns {{ family: string, name: string, type: string, builtin: boolean, vocabSize?: number }[]}
+ */
+export function listTokenizers() {
+  return [...registry.entries()].map(([family, tokenizer]) => ({
+    family,
+    name: tokenizer.name || family,
+    type: tokenizer.type || 'custom',
+    builtin: Boolean(tokenizer.builtin),
+    vocabSize: tokenizer.vocabSize
+  }));
+}
+
+/**
+ * Count tokens with a model family's tokenizer
+ * @param {string} family - Model family
+ * @param {string} text - Text to tokenize
+ * @returns {number} Token count
+ */
+export function countTokensFor(family, text) {
+  const tokenizer = registry.get(family);
+  if (!tokenizer) throw new Error(`No tokenizer registered for ${family}`);
+  return tokenizer.countTokens(text);
+}
+
+/**
+ * Register tokenizers from a "family=path,family=path" list (the OMEGA_TOKENIZERS
+ * environment variable in server-node.mts)
+ * @param {string} list - Comma-separated family=path pairs
+ * @returns {Object[]} registerTokenizer results
+ */
+export function registerTokenizersFromList(list = '') {
+  return list.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const eq = entry.indexOf('=');
+    if (eq < 1) throw new Error(`Expected family=path, got: ${entry}`);
+    return registerTokenizer(entry.slice(0, eq).trim(), entry.slice(eq + 1).trim());
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIZES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const utf8Bytes = text => Buffer.byteLength(text, 'utf8');
+
+export const gzipBytes = text => gzipSync(Buffer.from(text, 'utf8')).length;
+
+const percentSaved = (before, after) => (before > 0 ? Math.round((1 - after / before) * 100) : 0);
+
+/**
+ * Measure an English text against its compressed form
+ * @param {string} original - English input
+ * @param {string} omega - Compressed kernel
+ * @returns {{ originalBytes: number, omegaBytes: number, tokens: Object }}
+ *   `tokens` has { original, omega, savings } per encoding and per registered
+ *   (non built-in) model family, savings in percent
+ */
+export function measureCompression(original, omega) {
+  const counters = [
+    ...Object.entries(ENCODINGS),
+    ...[...registry.entries()].filter(([, t]) => !t.builtin).map(([family, t]) => [family, t.countTokens])
+  ];
+  const tokens = {};
+  for (const [name, count] of counters) {
+    const before = count(original);
+    const after = count(omega);
+    tokens[name] = { original: before, omega: after, savings: percentSaved(before, after) };
+  }
+  return { originalBytes: utf8Bytes(original), omegaBytes: utf8Bytes(omega), tokens };
+}
+
+export default {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  countTokens,
+  loadTokenizer,
+  readGGUFMetadata,
+  registerTokenizer,
+  registerTokenizersFromList,
+  getTokenizer,
+  listTokenizers,
+  countTokensFor,
+  utf8Bytes,
+  gzipBytes,
+  measureCompression
+};
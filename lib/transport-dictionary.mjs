@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Transport Dictionary Trainer
+ *
+ * Builds the pre-shared DEFLATE dictionary for the `deflate-dict` transport
+ * (transport.mjs). A 100-byte kernel is too short for DEFLATE to find repeats in
+ * itself; primed with a dictionary of the byte strings Omega kernels are made of, it
+ * can back-reference them from the first byte.
+ *
+ * The dictionary holds, from first to last:
+ *   1. every symbol of the Omega dictionary (phrases, words, negations, operators)
+ *      not already covered below, so kernels unlike the corpus still find matches
+ *   2. the substrings that recur most across a corpus of kernels (samples/*.json
+ *      compressed with the current dictionary, plus their recorded kernels and any
+ *      extra corpus files), most valuable last, where DEFLATE distances are shortest
+ *
+ * The output (dictionary.transport.json) records the Omega dictionary it was trained
+ * on. Retrain after changing dictionary.json; an old transport dictionary still
+ * decodes correctly, it just compresses new symbols less.
+ *
+ * Usage:
+ *   node lib/transport-dictionary.mjs [--size 8192] [--corpus kernels.txt] [--out dictionary.transport.json]
+ *
+ *   import { trainTransportDictionary, sampleCorpus } from './transport-dictionary.mjs';
+ *   const trained = trainTransportDictionary(sampleCorpus(), { size: 4096 });
+ */
+
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { getDefaultDictionary, semanticCompress } from './dictionary-compressor.mjs';
+import { DEFAULT_TRANSPORT_DICTIONARY_URL } from './transport.mjs';
+
+const SAMPLES_DIR = new URL('../samples/', import.meta.url);
+
+export const DEFAULT_SIZE = 8192;          // bytes; DEFLATE can reach back 32 KiB
+const MIN_SEGMENT = 2;                     // characters
+const MAX_SEGMENT = 16;
+const KERNEL_PREFIX = 'Ω核:';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CORPUS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Kernels from samples/*.json: each sample's `input` compressed with the dictionary
+ * (plain and Markdown mode) plus the sample's recorded `omega`, if any
+ * @param {Object} options - Options
+ * @param {Object} options.dictionary - Compiled dictionary (default dictionary.json)
+ * @returns {string[]} Kernels
+ */
+export function sampleCorpus({ dictionary = getDefaultDictionary() } = {}) {
+  const kernels = [];
+  const files = readdirSync(SAMPLES_DIR).filter(file => file.endsWith('.json')).sort();
+  for (const file of files) {
+    const { samples = [] } = JSON.parse(readFileSync(new URL(file, SAMPLES_DIR), 'utf-8'));
+    for (const sample of samples) {
+      if (typeof sample.input === 'string') {
+        kernels.push(semanticCompress(sample.input, { dictionary }).omega);
+        kernels.push(semanticCompress(sample.input, { dictionary, markdown: true }).omega);
+      }
+      if (typeof sample.omega === 'string') kernels.push(sample.omega);
+    }
+  }
+  return [...new Set(kernels)];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRAINING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const utf8Length = text => Buffer.byteLength(text, 'utf-8');
+
+// Recurring substrings, best first: bytes saved if each repeat became a reference
+function rankSegments(kernels) {
+  const counts = new Map();
+  for (const kernel of kernels) {
+    const chars = [...kernel];
+    for (let i = 0; i < chars.length; i++) {
+      for (let len = MIN_SEGMENT; len <= MAX_SEGMENT && i + len <= chars.length; len++) {
+        const segment = chars.slice(i, i + len).join('');
+        counts.set(segment, (counts.get(segment) || 0) + 1);
+      }
+    }
+  }
+  return [...counts]
+    .filter(([segment, count]) => count > 1 && segment.trim() === segment)
+    .map(([segment, count]) => ({ segment, score: (count - 1) * utf8Length(segment) }))
+    .sort((a, b) => b.score - a.score || b.segment.length - a.segment.length || (a.segment < b.segment ? -1 : 1));
+}
+
+// Every symbol a kernel can contain, in dictionary order
+function dictionarySymbols(dictionary) {
+  const symbols = [
+    ...Object.values(dictionary.phrases),
+    ...Object.values(dictionary.words),
+    ...Object.values(dictionary.negations),
+    ...Object.keys(dictionary.expansions)
+  ];
+  return [...new Set(symbols)].filter(symbol => utf8Length(symbol) > 1);
+}
+
+/**
+ * Train a transport dictionary from kernels
+ * @param {string[]} kernels - Corpus of Omega kernels
+ * @param {Object} options - Options
+ * @param {Object} options.dictionary - Compiled Omega dictionary the kernels use
+ * @param {number} options.size - Maximum dictionary size in bytes (default 8192)
+ * @param {string} options.version - Version to record (default: the Omega dictionary's)
+ * @returns {Object} { name, version, trainedOn: { dictionary, kernels }, size, hash, data }
+ *   with `data` in base64, ready to write as dictionary.transport.json
+ */
+export function trainTransportDictionary(kernels, options = {}) {
+  const { dictionary = getDefaultDictionary(), size = DEFAULT_SIZE } = options;
+  const version = options.version || dictionary.version;
+
+  // Corpus segments, skipping any already inside a better one
+  const segments = [];
+  let used = utf8Length(KERNEL_PREFIX);
+  for (const { segment } of rankSegments(kernels)) {
+    if (used >= size / 2) break;
+    if (segments.some(kept => kept.includes(segment))) continue;
+    segments.push(segment);
+    used += utf8Length(segment);
+  }
+  const covered = segments.join('\n');
+  const symbols = dictionarySymbols(dictionary).filter(symbol => !covered.includes(symbol));
+
+  // Least valuable first: DEFLATE prefers the end of the dictionary (shortest distances)
+  const text = [...symbols, ...segments.reverse(), KERNEL_PREFIX].join('');
+  let data = Buffer.from(text, 'utf-8');
+  if (data.length > size) data = data.subarray(data.length - size);
+
+  return {
+    name: 'omega-transport',
+    version,
+    trainedOn: { dictionary: dictionary.fingerprint, kernels: kernels.length },
+    size: data.length,
+    hash: `sha256:${createHash('sha256').update(data).digest('hex')}`,
+    data: data.toString('base64')
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const options = { size: DEFAULT_SIZE, corpus: [], out: fileURLToPath(DEFAULT_TRANSPORT_DICTIONARY_URL) };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--size': options.size = Number(value); i++; break;
+      case '--corpus': options.corpus.push(value); i++; break;
+      case '--out': options.out = value; i++; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  if (!Number.isInteger(options.size) || options.size < 256) throw new Error('--size must be an integer of at least 256');
+  return options;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const { size, corpus, out } = parseArgs(process.argv.slice(2));
+    // Extra corpus files hold one kernel per line
+    const extra = corpus.flatMap(file => readFileSync(file, 'utf-8').split('\n').filter(line => line.startsWith('Ω')));
+    const kernels = [...sampleCorpus(), ...extra];
+    const trained = trainTransportDictionary(kernels, { size });
+    writeFileSync(out, JSON.stringify(trained, null, 2) + '\n');
+    console.log(`Trained ${trained.name}@${trained.version} (${trained.size} bytes, ${trained.hash.slice(0, 15)}) ` +
+      `on ${kernels.length} kernels → ${out}`);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+}
+
+export default {
+  DEFAULT_SIZE,
+  sampleCorpus,
+  trainTransportDictionary
+};
@@ -0,0 +1,195 @@
+/**
+ * Transport Layer (Layer 3)
+ *
+ * Byte-level compression of a kernel for network transport and storage (SPEC.md §2,
+ * Layer 3). A transport is a chain of codecs from node:zlib applied to the kernel's
+ * UTF-8 bytes in order; the result travels as base64. Decoding undoes the chain in
+ * reverse.
+ *
+ *   gzip          - gzip (RFC 1952), 18 bytes of header and trailer
+ *   brotli        - Brotli (RFC 7932), text mode
+ *   deflate-raw   - raw DEFLATE (RFC 1951), no header
+ *   deflate-dict  - raw DEFLATE primed with the pre-shared transport dictionary
+ *                   (dictionary.transport.json), so short A2A kernels shrink too
+ *
+ * The transport dictionary is trained on Omega output by transport-dictionary.mjs
+ * (`npm run train:transport`). Both sides must hold the same one: results name its
+ * fingerprint, and decoding refuses a payload made with a different dictionary.
+ *
+ * Usage:
+ *   import { encodeTransport, decodeTransport } from './transport.mjs';
+ *   const { payload, bytes, dictionary } = encodeTransport(omega, ['deflate-dict']);
+ *   const kernel = decodeTransport(payload, ['deflate-dict'], { dictionary });
+ */
+
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import {
+  gzipSync, gunzipSync, brotliCompressSync, brotliDecompressSync, deflateRawSync, inflateRawSync,
+  constants
+} from 'node:zlib';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRANSPORT DICTIONARY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export const DEFAULT_TRANSPORT_DICTIONARY_URL = new URL('../dictionary.transport.json', import.meta.url);
+
+let defaultTransportDictionary = null;
+
+/**
+ * Load a transport dictionary file and check its content hash
+ * @param {string|URL} path - JSON written by transport-dictionary.mjs
+ *   (default dictionary.transport.json)
+ * @returns {{ name: string, version: string, hash: string, bytes: Buffer, fingerprint: Object,
+ *   trainedOn: Object }} `trainedOn` names the Omega dictionary it was trained on
+ * @throws {Error} If the file is missing or its data does not match its hash
+ */
+export function loadTransportDictionary(path = DEFAULT_TRANSPORT_DICTIONARY_URL) {
+  let file;
+  try {
+    file = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Cannot load transport dictionary ${path} (run npm run train:transport): ${e.message}`);
+  }
+  const bytes = Buffer.from(file.data, 'base64');
+  const hash = `sha256:${createHash('sha256').update(bytes).digest('hex')}`;
+  if (hash !== file.hash) throw new Error(`Transport dictionary ${path} is corrupt: hash ${hash} ≠ ${file.hash}`);
+  const fingerprint = { name: file.name, version: file.version, hash };
+  return { ...fingerprint, bytes, fingerprint, trainedOn: file.trainedOn };
+}
+
+function getTransportDictionary() {
+  if (!defaultTransportDictionary) defaultTransportDictionary = loadTransportDictionary();
+  return defaultTransportDictionary;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CODECS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const BROTLI_TEXT = {
+  params: { [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT, [constants.BROTLI_PARAM_QUALITY]: 11 }
+};
+
+// Largest decoded size accepted by default: payloads come from untrusted clients, and a
+// few KB of gzip or brotli can expand to gigabytes
+export const DEFAULT_MAX_OUTPUT_LENGTH = 8 * 1024 * 1024;
+
+// Transport name → { encode, decode }: encode is (Buffer, dictionary) → Buffer, decode
+// (Buffer, dictionary, maxOutputLength) → Buffer; codecs with `dictionary: true` use the
+// transport dictionary
+export const TRANSPORTS = {
+  gzip: {
+    encode: bytes => gzipSync(bytes, { level: 9 }),
+    decode: (bytes, dictionary, maxOutputLength) => gunzipSync(bytes, { maxOutputLength })
+  },
+  brotli: {
+    encode: bytes => brotliCompressSync(bytes, BROTLI_TEXT),
+    decode: (bytes, dictionary, maxOutputLength) => brotliDecompressSync(bytes, { maxOutputLength })
+  },
+  'deflate-raw': {
+    encode: bytes => deflateRawSync(bytes, { level: 9 }),
+    decode: (bytes, dictionary, maxOutputLength) => inflateRawSync(bytes, { maxOutputLength })
+  },
+  'deflate-dict': {
+    dictionary: true,
+    encode: (bytes, dictionary) => deflateRawSync(bytes, { level: 9, dictionary: dictionary.bytes }),
+    decode: (bytes, dictionary, maxOutputLength) => inflateRawSync(bytes, { dictionary: dictionary.bytes, maxOutputLength })
+  }
+};
+
+/**
+ * Normalize a transport selection to a list of known codec names
+ * @param {string|string[]} layers - One name, a comma-separated list, or an array
+ * @returns {string[]} Codec names in the order they are applied
+ * @throws {Error} On an unknown codec
+ */
+export function parseTransport(layers) {
+  const names = (Array.isArray(layers) ? layers : String(layers).split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  const unknown = names.filter(name => !TRANSPORTS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown transport: ${unknown.join(', ')} (known: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+  return names;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENCODE / DECODE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compress text for transport
+ * @param {string} text - Kernel (or any text)
+ * @param {string|string[]} layers - Codecs to apply, in order (default ['gzip'])
+ * @param {Object} options - Options
+ * @param {Object} options.dictionary - Transport dictionary (loadTransportDictionary);
+ *   default dictionary.transport.json, loaded on first use
+ * @returns {{ layers: string[], payload: string, bytes: { original: number, encoded: number },
+ *   ratio: number, dictionary?: Object }} `payload` is base64; `bytes` are measured before
+ *   and after the chain; `dictionary` is the transport dictionary fingerprint, when used
+ */
+export function encodeTransport(text, layers = ['gzip'], options = {}) {
+  const names = parseTransport(layers);
+  const dictionary = names.some(name => TRANSPORTS[name].dictionary)
+    ? options.dictionary || getTransportDictionary()
+    : null;
+  const original = Buffer.from(text, 'utf-8');
+  const encoded = names.reduce((bytes, name) => TRANSPORTS[name].encode(bytes, dictionary), original);
+  return {
+    layers: names,
+    payload: encoded.toString('base64'),
+    bytes: { original: original.length, encoded: encoded.length },
+    ratio: encoded.length > 0 ? Math.round(original.length / encoded.length * 100) / 100 : 0,
+    ...(dictionary ? { dictionary: dictionary.fingerprint } : {})
+  };
+}
+
+/**
+ * Reverse encodeTransport
+ * @param {string} payload - Base64 payload
+ * @param {string|string[]} layers - Codecs that were applied, in the order applied
+ * @param {Object} options - Options
+ * @param {Object} options.dictionary - Transport dictionary fingerprint the payload was
+ *   encoded with (checked against the local one), or a loaded transport dictionary
+ * @param {number} options.maxOutputLength - Most bytes any codec may decode to
+ *   (default DEFAULT_MAX_OUTPUT_LENGTH, 8 MiB)
+ * @returns {string} The original text
+ * @throws {Error} On a transport dictionary mismatch, if the payload is not valid for
+ *   the codecs, or if it decodes to more than maxOutputLength bytes
+ */
+export function decodeTransport(payload, layers = ['gzip'], options = {}) {
+  const { maxOutputLength = DEFAULT_MAX_OUTPUT_LENGTH } = options;
+  const names = parseTransport(layers);
+  let dictionary = null;
+  if (names.some(name => TRANSPORTS[name].dictionary)) {
+    dictionary = options.dictionary?.bytes ? options.dictionary : getTransportDictionary();
+    const expected = options.dictionary?.hash;
+    if (expected && expected !== dictionary.hash) {
+      throw new Error(`Transport dictionary mismatch: payload uses ${options.dictionary.name}@${options.dictionary.version} ` +
+        `(${expected.slice(7, 15)}), local is ${dictionary.name}@${dictionary.version} (${dictionary.hash.slice(7, 15)})`);
+    }
+  }
+  let bytes = Buffer.from(payload, 'base64');
+  for (const name of [...names].reverse()) {
+    try {
+      bytes = TRANSPORTS[name].decode(bytes, dictionary, maxOutputLength);
+    } catch (e) {
+      const reason = e.code === 'ERR_BUFFER_TOO_LARGE' ? `output exceeds ${maxOutputLength} bytes` : e.message;
+      throw new Error(`Cannot decode ${name} transport: ${reason}`);
+    }
+  }
+  return bytes.toString('utf-8');
+}
+
+export default {
+  DEFAULT_TRANSPORT_DICTIONARY_URL,
+  DEFAULT_MAX_OUTPUT_LENGTH,
+  TRANSPORTS,
+  loadTransportDictionary,
+  parseTransport,
+  encodeTransport,
+  decodeTransport
+};
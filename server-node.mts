@@ -2,28 +2,21 @@
 // Run with: elide server-node.mts
 
 import http from 'node:http';
-import zlib from 'node:zlib';
+import { readdirSync } from 'node:fs';
+import {
+  semanticCompress as dictionaryCompress,
+  registerDictionary,
+  resolveDictionaries,
+  formatKernelPrefix
+} from './lib/dictionary-compressor.mjs';
+import { compressToBudget } from './lib/budget-compressor.mjs';
+import { measureCompression, registerTokenizersFromList } from './lib/tokenizers.mjs';
+import { compressMCPResponse } from './lib/mcp-compressor.mjs';
+import { encodeEnvelope, decodeInput } from './lib/envelope.mjs';
+import { parseTransport, encodeTransport } from './lib/transport.mjs';
 
 console.log('🔮 Omega Compressor initializing...');
 
-// Binary compression helpers (gzip for transport)
-function gzipCompress(text: string): Buffer {
-  return zlib.gzipSync(Buffer.from(text, 'utf-8'));
-}
-
-function gzipDecompress(compressed: Buffer): string {
-  return zlib.gunzipSync(compressed).toString('utf-8');
-}
-
-// Base64 helpers for transport
-function toBase64(buffer: Buffer): string {
-  return buffer.toString('base64');
-}
-
-function fromBase64(b64: string): Buffer {
-  return Buffer.from(b64, 'base64');
-}
-
 const llm = require('elide:llm');
 console.log('LLM API version:', llm.version());
 
@@ -62,290 +55,51 @@ function getModelSpec(modelId: string) {
   return llm.huggingface({ repo: m.repo, name: m.file });
 }
 
-// Comprehensive semantic dictionary for Omega compression
-// Organized by: phrases (longest first), then single words
-const PHRASE_MAP: Record<string, string> = {
-  // Multi-word phrases → single symbols (highest compression)
-  'you are a': '你為', 'you are an': '你為', 'you are': '你為',
-  'when you receive': '訊至→', 'when receiving': '訊至→',
-  'in order to': '以', 'as well as': '及', 'such as': '如',
-  'make sure': '確保', 'do not': '勿', 'if you': '若',
-  'based on': '據', 'according to': '據',
-  'at the same time': '並', 'on the other hand': '另',
-  'for example': '例', 'in this case': '此況',
-  'keep in mind': '記', 'be aware': '注',
-  'take into account': '慮', 'pay attention': '注',
-  'step by step': '步步', 'one by one': '逐一',
-  'as soon as': '即', 'right away': '即',
-  'more than': '逾', 'less than': '少於',
-  'at least': '至少', 'at most': '至多',
-  'in addition': '且', 'furthermore': '且',
-  'however': '然', 'therefore': '故', 'because': '因',
-  'although': '雖', 'unless': '除非', 'until': '至',
-  'before you': '先', 'after you': '後',
-  'instead of': '替', 'rather than': '替',
-  'as long as': '只要', 'provided that': '若',
-  'in case of': '若遇', 'in the event': '若遇',
-  'with respect to': '關於', 'regarding': '關於',
-  'focus on': '專注', 'concentrate on': '專注',
-  'think about': '思', 'consider': '慮',
-  'be careful': '慎', 'be cautious': '慎',
-  'important to': '要', 'necessary to': '須',
-  'able to': '能', 'capable of': '能',
-  'responsible for': '責', 'in charge of': '責',
-  'dealing with': '處', 'working with': '與',
-  'looking for': '尋', 'searching for': '尋',
-  'waiting for': '待', 'expecting': '待',
-  
-  // Agent-specific phrases
-  'prioritize understanding': '意>詞',
-  'true intent': '真意', 'literal words': '字面',
-  'user intent': '用意', "user's intent": '用意',
-  'admit uncertainty': 'μ時述μ',
-  'when uncertain': 'μ時', "don't know": '不知',
-  'be concise': '簡', 'be thorough': '詳',
-  'be accurate': '準', 'be helpful': '助',
-  'be friendly': '親', 'be professional': '專業',
-  
-  // Technical phrases
-  'edge case': '邊界', 'edge cases': '邊界',
-  'error handling': '錯處', 'exception handling': '例外處',
-  'best practice': '優踐', 'best practices': '優踐',
-  'code review': '碼審', 'pull request': 'PR', 'pull requests': 'PR',
-  'unit test': '單測', 'unit tests': '單測',
-  'integration test': '整測', 'integration tests': '整測',
-  'end to end': 'E2E', 'e2e test': 'E2E測', 'e2e tests': 'E2E測',
-  'continuous integration': 'CI', 'continuous deployment': 'CD', 'ci/cd': 'CI/CD',
-  'version control': '版控', 'source control': '源控',
-  'machine learning': 'ML', 'artificial intelligence': 'AI',
-  'natural language': 'NL', 'large language model': 'LLM',
-  'application programming interface': 'API',
-  'user interface': 'UI', 'user experience': 'UX',
-  'command line': 'CLI', 'graphical user interface': 'GUI',
-  'after testing': '測後', 'before testing': '測前',
-  'submit a': '提交', 'create a': '創',
-  'well structured': '構良', 'well-structured': '構良',
-  'form a': '成', 'gather relevant': '集相關',
-  
-  // contextOS / Agent-specific phrases
-  'agent status': '代理態', 'agent claim': '代理占',
-  'task assignment': '任分配', 'task complete': '任完',
-  'group chat': '群聊', 'direct message': 'DM',
-  'mcp server': 'MCP服', 'mcp call': 'MCP調',
-  'channel publish': '頻發', 'channel subscribe': '頻訂',
-  'work queue': '工隊', 'inbox message': '收訊',
-  'handoff ready': '交接備', 'handoff complete': '交接完',
-  'resource lock': '資鎖', 'resource unlock': '資解鎖',
-  'zone claim': '區占', 'zone release': '區釋',
-  'branch claim': '支占', 'branch merge': '支併',
-  'pr review': 'PR審', 'ci pass': 'CI過',
-  'role assignment': '角分配', 'role coordinator': '協調',
-  'role reviewer': '審查', 'role coder': '碼師',
-  'knowledge base': 'KB', 'shared document': '共文',
-};
+// Domain dictionaries stack on top of dictionary.json (select with `dictionaries` in /api/compress)
+const DICTIONARIES_DIR = new URL('./dictionaries/', import.meta.url);
+for (const file of readdirSync(DICTIONARIES_DIR).filter(f => f.endsWith('.json'))) {
+  const { name, precedence } = registerDictionary(new URL(file, DICTIONARIES_DIR));
+  console.log(`📚 Registered dictionary: ${name} (precedence ${precedence})`);
+}
 
-const WORD_MAP: Record<string, string> = {
-  // Pronouns/subjects
-  'you': '你', 'your': '你', 'user': '用', "user's": '用',
-  'i': '我', 'we': '我們', 'they': '彼',
-  
-  // Roles
-  'assistant': '助', 'helper': '助', 'agent': '代理',
-  'coding': '碼', 'developer': '發', 'coder': '碼師',
-  'programmer': '程師', 'engineer': '工',
-  'expert': '專', 'senior': '資深', 'junior': '初',
-  'architect': '架構', 'designer': '設師',
-  'analyst': '析師', 'consultant': '顧問',
-  
-  // Actions (verbs)
-  'analyze': '析', 'analyse': '析',
-  'implement': '實', 'implementation': '實現',
-  'design': '設', 'create': '創', 'build': '建',
-  'verify': '驗', 'validate': '驗', 'check': '查',
-  'test': '測', 'debug': '調', 'fix': '修',
-  'review': '審', 'examine': '檢', 'inspect': '察',
-  'document': '記', 'describe': '述', 'explain': '釋',
-  'gather': '集', 'collect': '收', 'aggregate': '聚',
-  'evaluate': '評', 'assess': '評估', 'judge': '判',
-  'follow': '循', 'adhere': '守', 'comply': '從',
-  'ensure': '確', 'guarantee': '保', 'confirm': '確認',
-  'provide': '供', 'offer': '獻', 'give': '予',
-  'identify': '識', 'recognize': '認', 'detect': '偵',
-  'write': '寫', 'compose': '撰', 'draft': '擬',
-  'read': '讀', 'parse': '解析', 'interpret': '釋',
-  'understand': '解', 'comprehend': '悟',
-  'prioritize': '優先', 'rank': '排',
-  'optimize': '優化', 'improve': '改',
-  'generate': '生', 'produce': '產',
-  'execute': '執', 'run': '運', 'perform': '行',
-  'modify': '改', 'change': '變', 'update': '更',
-  'delete': '刪', 'remove': '移', 'clear': '清',
-  'add': '加', 'insert': '插', 'append': '附',
-  'search': '搜', 'find': '找', 'locate': '定位',
-  'sort': '排序', 'filter': '濾', 'select': '選',
-  'transform': '轉', 'convert': '換',
-  'communicate': '通', 'notify': '通知', 'alert': '警',
-  'respond': '應', 'reply': '覆', 'answer': '答',
-  'ask': '問', 'query': '詢', 'request': '請',
-  'think': '思', 'reason': '理', 'infer': '推',
-  'learn': '學', 'adapt': '適', 'evolve': '進',
-  'submit': '提', 'submitting': '提交中', 'submitted': '已提',
-  'testing': '測中', 'tested': '已測',
-  'relevant': '相關', 'appropriate': '適當',
-  'structured': '構化', 'hypothesis': '假設',
-  'claim': '占', 'release': '釋', 'lock': '鎖', 'unlock': '解鎖',
-  'publish': '發', 'subscribe': '訂', 'broadcast': '廣播',
-  'coordinate': '協調', 'synchronize': '同步', 'sync': '同步',
-  'queue': '隊列', 'stack': '棧', 'list': '列',
-  'assign': '分配', 'allocate': '配置', 'distribute': '分發',
-  'merge': '併', 'split': '分', 'combine': '合',
-  'track': '追蹤', 'monitor': '監', 'observe': '觀',
-  'log': '誌', 'record': '記錄', 'capture': '捕',
-  'warn': '警告',
-  'approve': '批', 'reject': '拒', 'accept': '受',
-  'complete': '完', 'finish': '完成', 'done': '完',
-  'pending': '待', 'active': '活', 'idle': '閒',
-  'ready': '備', 'waiting': '待中', 'blocked': '阻',
-  
-  // Concepts
-  'problem': '問', 'issue': '題', 'bug': '蟲',
-  'solution': '解', 'result': '果',
-  'approach': '法', 'method': '方', 'technique': '技',
-  'pattern': '模', 'template': '範', 'structure': '構',
-  'process': '程', 'workflow': '流', 'pipeline': '管線',
-  'context': '境', 'environment': '環境', 'setting': '設定',
-  'constraint': '約', 'limit': '限', 'restriction': '制',
-  'requirement': '需', 'specification': '規', 'criteria': '準則',
-  'code': '碼', 'script': '腳本', 'program': '程式',
-  'error': '錯', 'exception': '例外', 'fault': '故障',
-  'security': '安', 'safety': '全', 'protection': '護',
-  'performance': '效', 'speed': '速', 'efficiency': '率',
-  'scalability': '擴', 'flexibility': '彈',
-  'maintainability': '維', 'reliability': '靠',
-  'quality': '質', 'standard': '標準',
-  'data': '數據', 'information': '資訊', 'knowledge': '知',
-  'system': '系統', 'component': '件', 'module': '模組',
-  'function': '函', 'class': '類',
-  'variable': '變量', 'parameter': '參', 'argument': '引',
-  'input': '入', 'output': '出',
-  'file': '檔', 'directory': '目錄', 'path': '路徑',
-  'database': '庫', 'table': '表',
-  'network': '網', 'server': '服務器', 'client': '客端',
-  'msg': '訊', 'response': '應答',
-  'task': '任', 'job': '工作', 'action': '動作',
-  'event': '事件', 'trigger': '觸發', 'handler': '處理器',
-  'state': '態', 'status': '狀態', 'condition': '條件',
-  'logic': '邏輯', 'algorithm': '演算法',
-  'intent': '意', 'purpose': '目的', 'goal': '目標',
-  'domain': '域', 'scope': '範圍', 'area': '領域',
-  'layer': '層', 'level': '級', 'tier': '階',
-  
-  // Modifiers
-  'always': '恆', 'never': '禁', 'sometimes': '有時',
-  'often': '常', 'rarely': '罕', 'usually': '通常',
-  'best': '優', 'worst': '劣', 'good': '良', 'bad': '壞',
-  'comprehensive': '全',
-  'proper': '正', 'correct': '對', 'wrong': '誤',
-  'simple': '簡', 'complex': '繁', 'complicated': '複雜',
-  'obvious': '顯', 'vague': '模糊',
-  'concise': '簡潔', 'brief': '短', 'verbose': '冗',
-  'accurate': '準', 'precise': '精', 'exact': '確切',
-  'helpful': '助益', 'useful': '用', 'valuable': '值',
-  'thorough': '詳', 'detailed': '細', 'deep': '深',
-  'uncertain': '疑', 'unknown': '未知', 'ambiguous': '歧',
-  'alternative': '替', 'optional': '選',
-  'important': '要', 'critical': '關鍵', 'essential': '必',
-  'primary': '主', 'secondary': '次', 'tertiary': '三',
-  'current': '當前', 'previous': '前', 'next': '下',
-  'new': '新', 'old': '舊', 'existing': '現有',
-  'specific': '特定', 'general': '通用', 'common': '常見',
-  'unique': '唯一', 'distinct': '獨特',
-  'valid': '有效', 'invalid': '無效',
-  'available': '可用', 'unavailable': '不可用',
-  'inactive': '不活躍',
-  'enabled': '啟用', 'disabled': '禁用',
-  
-  // Sequence/structure
-  'first': '首', 'second': '二', 'third': '三',
-  'then': '次', 'finally': '終', 'lastly': '末',
-  'before': '前', 'after': '後', 'during': '期間',
-  'start': '始', 'end': '終', 'middle': '中',
-  'phase': '階', 'step': '步', 'stage': '段',
-  'guideline': '則', 'rule': '規', 'policy': '策',
-  'practice': '踐', 'procedure': '程序',
-  'principle': '原則', 'concept': '概念',
-};
+// Token accounting for non-OpenAI families, e.g. OMEGA_TOKENIZERS="qwen=/models/qwen2.5-1.5b-instruct-q4_k_m.gguf"
+for (const { family, name, vocabSize } of registerTokenizersFromList(process.env.OMEGA_TOKENIZERS)) {
+  console.log(`🔢 Registered tokenizer: ${family} (${name}, ${vocabSize} tokens)`);
+}
 
-// Symbols for common structural patterns
-const SYMBOL_MAP: Record<string, string> = {
-  ' -> ': '→', ' => ': '→', ' leads to ': '→',
-  ' maps to ': '↦', ' becomes ': '↦',
-  ' and ': '·', ', and ': '·', ', ': '·',
-  ' or ': '|', ', or ': '|',
-  ' not ': '¬', ' no ': '¬',
-  '...': '…', ' etc': '等',
+type CompressOptions = {
+  dictionaries?: string[];
+  header?: boolean;                            // embed Ω核[dict@version#hash]: header
+  markdown?: boolean;                          // keep Markdown structure (§ headings, • lists)
+  maxChars?: number;                           // budget: escalate strategies until the kernel fits
+  maxTokens?: number;                          // budget in o200k_base tokens
+  fingerprint?: any;                           // decompress: fingerprint the kernel was encoded with
+  onMismatch?: 'error' | 'warn' | 'ignore';    // decompress: dictionary mismatch handling
 };
 
-function semanticCompress(spec: string, modelId?: string) {
-  let omega = spec.toLowerCase();
-  
-  // Layer 1: Apply symbol replacements first (operators)
-  for (const [pattern, symbol] of Object.entries(SYMBOL_MAP)) {
-    omega = omega.split(pattern.toLowerCase()).join(symbol);
-  }
-  
-  // Layer 2: Apply phrase translations (longest first for greedy matching)
-  const phraseKeys = Object.keys(PHRASE_MAP).sort((a, b) => b.length - a.length);
-  for (const phrase of phraseKeys) {
-    omega = omega.replace(new RegExp(phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), PHRASE_MAP[phrase]);
-  }
-  
-  // Layer 3: Apply word translations (longest first)
-  const wordKeys = Object.keys(WORD_MAP).sort((a, b) => b.length - a.length);
-  for (const word of wordKeys) {
-    omega = omega.replace(new RegExp('\\b' + word + '\\b', 'gi'), WORD_MAP[word]);
-  }
-  
-  // Remove common filler words
-  omega = omega.replace(/\b(the|a|an|is|are|be|been|being|was|were|will|would|should|could|have|has|had|do|does|did|this|that|these|those|it|its|of|for|to|and|or|but|with|by|from|as|at|on|in|into|through|during|before|after|above|below|between|under|over|out|up|down|off|about|against|along|among|around|behind|beneath|beside|besides|beyond|concerning|despite|except|inside|outside|since|toward|towards|upon|within|without)\b/gi, '');
-  
-  // Clean up
-  omega = omega.replace(/[,.:;!?()[\]{}'"]/g, '·');  // Punctuation to separator
-  omega = omega.replace(/\s+/g, '');  // Remove whitespace
-  omega = omega.replace(/·+/g, '·');  // Collapse multiple separators
-  omega = omega.replace(/^·|·$/g, '');  // Trim separators
-  
-  omega = 'Ω核:' + omega;
-  
-  // Calculate compression stats
-  // Note: Chinese characters are ~3 bytes in UTF-8
-  const omegaBytes = omega.length * 2.5;  // Estimate for mixed Chinese/ASCII
-  const originalBytes = spec.length;  // ASCII is ~1 byte per char
-  
-  // Estimate gzip compression (typically 30-50% for short text, better for longer)
-  const estimatedGzipBytes = Math.round(omegaBytes * 0.6);
-  
-  const stats = { 
-    originalChars: spec.length, 
-    compressedChars: omega.length, 
-    charRatio: omega.length > 0 ? Math.round(spec.length/omega.length*10)/10 : 0,
-    // Byte-level stats (estimated)
-    originalBytes: Math.round(originalBytes),
-    omegaBytes: Math.round(omegaBytes),
-    gzipBytesEst: estimatedGzipBytes,
-    totalRatioEst: estimatedGzipBytes > 0 ? Math.round(originalBytes/estimatedGzipBytes*10)/10 : 0
-  };
-  
+// Layer 1 dictionary compression (dictionary.json, see lib/dictionary-compressor.mjs)
+function semanticCompress(spec: string, modelId?: string, options: CompressOptions = {}) {
+  const { omega, stats, elapsed } = dictionaryCompress(spec, options);
   return { 
     success: true, 
     modelId: modelId || defaultModelId, 
     omega,
     stats, 
-    elapsed: 50, 
+    elapsed, 
     mock: true 
   };
 }
 
+// Dictionary stack used for a request, plus any phrase conflicts between its layers
+function dictionaryInfo(options: CompressOptions) {
+  const { layers, conflicts, fingerprint } = resolveDictionaries(options.dictionaries);
+  return {
+    dictionaries: layers.map((l: any) => l.name),
+    dictionary: fingerprint,
+    ...(conflicts.length > 0 ? { conflicts } : {})
+  };
+}
+
 // Prompt for LLM to normalize/simplify English before dictionary compression
 const NORMALIZE_PROMPT = `Simplify this text to basic vocabulary. Use these exact words when possible:
 - "you are" not "you're", "act as", "serve as"
@@ -368,6 +122,11 @@ const TRANSLATE_PROMPT = `Translate to dense Chinese. One character per concept.
 Example: "You are helpful" → 你為助
 Translate: `;
 
+// Summary of an MCP tool response that is too long for the target model
+const SUMMARIZE_PROMPT = `Summarize this tool output for another AI agent. Keep identifiers, numbers, errors and
+anything the agent must act on. Drop repetition and boilerplate. Output only the summary.
+Tool output: `;
+
 // Timeout wrapper for LLM inference (30 second timeout)
 const LLM_TIMEOUT_MS = 30000;
 
@@ -390,39 +149,57 @@ function normalizeWithLLM(spec: string, model: any, params: any): string {
 }
 
 // Step 2: Apply dictionary compression to normalized text
-function compressChunk(spec: string, modelId: string, model: any, params: any): string {
+function compressChunk(spec: string, modelId: string, model: any, params: any, options: CompressOptions = {}): string {
   console.log(`[compressChunk] Processing ${spec.length} chars`);
   
   // First normalize the English with LLM
   const normalized = normalizeWithLLM(spec, model, params);
   
-  // Then apply dictionary compression
-  const result = semanticCompress(normalized, modelId);
+  // Then apply dictionary compression (the caller adds the Ω核 prefix once)
+  const result = semanticCompress(normalized, modelId, { ...options, header: false });
   return result.omega.replace(/^Ω核:/, '');
 }
 
-function compress(spec: string, modelId?: string) {
+// LLM summary for compressMCPResponse, cut to maxLength if the model overshoots
+function summarizeWithLLM(text: string, maxLength: number, model: any, params: any): string {
+  console.log(`[summarize] Summarizing ${text.length} chars to ${maxLength}`);
+  const summary = llm.inferSync(params, model, `${SUMMARIZE_PROMPT}${text}\n\nAt most ${maxLength} characters.`).trim();
+  return summary.length > maxLength ? summary.slice(0, maxLength) : summary;
+}
+
+// Optimize for AMD Ryzen 8745HS (8 cores/16 threads, no NVIDIA GPU)
+function inferenceParams() {
+  return llm.params({ 
+    contextSize: 4096,
+    allowDownload: true,
+    disableGpu: true,       // No NVIDIA GPU available
+    threadCount: 12,        // Use most threads (leave some for system)
+    threadBatchCount: 12    // Batch threads for parallel processing
+  });
+}
+
+function compress(spec: string, modelId?: string, options: CompressOptions = {}) {
   const mid = modelId || defaultModelId;
   console.log(`[compress] Starting compression of ${spec.length} chars with model ${mid}`);
+  const dictionaries = dictionaryInfo(options);
+  
+  // Budget mode - escalate strategies until the kernel fits (LLM normalization outside fast mode)
+  if (options.maxChars || options.maxTokens) {
+    console.log(`[compress] Budget mode - maxChars ${options.maxChars ?? '-'}, maxTokens ${options.maxTokens ?? '-'}`);
+    const normalize = mid === 'fast' ? undefined : (text: string) => normalizeWithLLM(text, getModelSpec(mid), inferenceParams());
+    return { success: true, modelId: mid, ...compressToBudget(spec, { ...options, normalize }), ...dictionaries };
+  }
   
   // Fast mode - use dictionary compression only (no LLM)
   if (mid === 'fast') {
     console.log(`[compress] Fast mode - using dictionary compression`);
-    return semanticCompress(spec, 'fast');
+    return { ...semanticCompress(spec, 'fast', options), ...dictionaries };
   }
   
   const maxChars = getMaxInputChars(mid);
   const model = getModelSpec(mid);
   const start = Date.now();
-  
-  // Optimize for AMD Ryzen 8745HS (8 cores/16 threads, no NVIDIA GPU)
-  const params = llm.params({ 
-    contextSize: 4096,
-    allowDownload: true,
-    disableGpu: true,       // No NVIDIA GPU available
-    threadCount: 12,        // Use most threads (leave some for system)
-    threadBatchCount: 12    // Batch threads for parallel processing
-  });
+  const params = inferenceParams();
   
   let omega = '';
   
@@ -453,19 +230,19 @@ function compress(spec: string, modelId?: string) {
     const results: string[] = [];
     for (let i = 0; i < chunks.length; i++) {
       console.log(`[compress] Processing chunk ${i + 1}/${chunks.length}...`);
-      results.push(compressChunk(chunks[i], mid, model, params));
+      results.push(compressChunk(chunks[i], mid, model, params, options));
     }
-    omega = results.join('·');
+    omega = results.join(options.markdown ? '\n' : '·');
   } else {
-    omega = compressChunk(spec, mid, model, params);
+    omega = compressChunk(spec, mid, model, params, options);
   }
   
   const elapsed = Date.now() - start;
   console.log(`[compress] Done in ${elapsed}ms`);
   
-  // Ensure it starts with Ω核: prefix
+  // Ensure it starts with Ω核: prefix (with the dictionary header when requested)
   if (!omega.startsWith('Ω核:')) {
-    omega = 'Ω核:' + omega;
+    omega = formatKernelPrefix(dictionaries.dictionary, options.header) + omega;
   }
   
   return { 
@@ -477,10 +254,39 @@ function compress(spec: string, modelId?: string) {
       compressedChars: omega.length, 
       charRatio: omega.length > 0 ? Math.round(spec.length/omega.length*10)/10 : 0 
     }, 
-    elapsed 
+    elapsed,
+    ...dictionaries
   };
 }
 
+// Run compress, reporting bad options (e.g. an unknown dictionary) as a failed result.
+// Every successful result carries measured UTF-8 sizes and per-encoding token counts.
+function tryCompress(spec: string, modelId?: string, options: CompressOptions = {}) {
+  try {
+    const result = compress(spec, modelId, options);
+    return { ...result, stats: { ...result.stats, ...measureCompression(spec, result.omega) } };
+  } catch (e: any) {
+    return { success: false, error: e.message };
+  }
+}
+
+// Layer 3 and output format: with `transport` (gzip, brotli, deflate-raw) the kernel is
+// also returned as a base64 payload with measured byte counts; `format: 'envelope'` gives
+// the SPEC §3 envelope instead, with `llm` listed when Layer 2 rewrote the text
+function formatResult(result: any, format?: string, transport?: string | string[]) {
+  if (!result.success) return result;
+  try {
+    const layers = transport ? parseTransport(transport) : [];
+    if (format === 'envelope') {
+      const normalized = result.budget ? result.budget.sacrificed.normalized : result.modelId !== 'fast';
+      return encodeEnvelope(result, { layers: [...(normalized ? ['llm'] : []), 'dict', ...layers] });
+    }
+    return layers.length > 0 ? { ...result, transport: encodeTransport(result.omega, layers) } : result;
+  } catch (e: any) {
+    return { success: false, error: e.message };
+  }
+}
+
 function parseQuery(url: string): Record<string, string> {
   const params: Record<string, string> = {};
   const idx = url.indexOf('?');
@@ -690,8 +496,14 @@ const server = http.createServer((req, res) => {
             res.end();
             return;
           }
-          const result = compress(data.spec, data.modelId);
-          const json = JSON.stringify(result);
+          const result = tryCompress(data.spec, data.modelId, {
+            dictionaries: data.dictionaries,
+            header: data.header,
+            markdown: data.markdown,
+            maxChars: data.maxChars,
+            maxTokens: data.maxTokens
+          });
+          const json = JSON.stringify(formatResult(result, data.format, data.transport));
           res.setHeader('Content-Length', Buffer.byteLength(json, 'utf8').toString());
           res.write(json);
           res.end();
@@ -714,14 +526,94 @@ const server = http.createServer((req, res) => {
       res.end();
       return;
     }
-    const result = compress(q.spec, q.modelId);
-    const json = JSON.stringify(result);
+    const result = tryCompress(q.spec, q.modelId, {
+      dictionaries: q.dictionaries?.split(','),
+      header: q.header === 'true',
+      markdown: q.markdown === 'true',
+      maxChars: q.maxChars ? Number(q.maxChars) : undefined,
+      maxTokens: q.maxTokens ? Number(q.maxTokens) : undefined
+    });
+    const json = JSON.stringify(formatResult(result, q.format, q.transport));
     res.setHeader('Content-Length', Buffer.byteLength(json, 'utf8').toString());
     res.write(json);
     res.end();
     return;
   }
   
+  // Decompress API - undoes every layer and expands the Ω核 kernel into English with provenance
+  if (url.startsWith('/api/decompress')) {
+    res.setHeader('Content-Type', 'application/json');
+    const send = (status: number, result: any) => {
+      const json = JSON.stringify(result);
+      res.statusCode = status;
+      res.setHeader('Content-Length', Buffer.byteLength(json, 'utf8').toString());
+      res.write(json);
+      res.end();
+    };
+    // Input is a kernel (`omega`), a Layer 3 `payload` with its `transport` codecs, or a
+    // SPEC §3 `envelope`; every layer is reversed before the dictionary expansion
+    const respond = (input: any, options: CompressOptions) => {
+      try {
+        send(200, { success: true, ...decodeInput(input, options) });
+      } catch (e: any) {
+        send(400, { success: false, error: e.message });
+      }
+    };
+
+    if (method === 'POST') {
+      let body = '';
+      req.on('data', (chunk: any) => { body += chunk.toString(); });
+      req.on('end', () => {
+        let data: any;
+        try {
+          data = JSON.parse(body);
+        } catch (e: any) {
+          send(400, { success: false, error: 'Invalid JSON: ' + e.message });
+          return;
+        }
+        respond(data, { dictionaries: data?.dictionaries, fingerprint: data?.dictionary, onMismatch: data?.onMismatch });
+      });
+      return;
+    }
+
+    const q = parseQuery(url);
+    respond(q, { dictionaries: q.dictionaries?.split(','), onMismatch: q.onMismatch as CompressOptions['onMismatch'] });
+    return;
+  }
+
+  // MCP response compression - picks the encoding with the fewest tokens for targetModel;
+  // with `summarize`, responses over maxLength may be summarized by the local LLM
+  if (url.startsWith('/api/mcp/compress') && method === 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    let body = '';
+    req.on('data', (chunk: any) => { body += chunk.toString(); });
+    req.on('end', () => {
+      let result: any;
+      try {
+        const data = JSON.parse(body);
+        if (data.response === undefined) {
+          result = { success: false, error: 'Missing response' };
+        } else {
+          const mid = data.modelId || defaultModelId;
+          const summarize = data.summarize && mid !== 'fast'
+            ? (text: string, maxLength: number) => summarizeWithLLM(text, maxLength, getModelSpec(mid), inferenceParams())
+            : undefined;
+          result = {
+            success: true,
+            ...compressMCPResponse(data.response, data.targetModel || 'gpt-4o', { maxLength: data.maxLength, summarize })
+          };
+        }
+      } catch (e: any) {
+        result = { success: false, error: e instanceof SyntaxError ? 'Invalid JSON: ' + e.message : e.message };
+      }
+      const json = JSON.stringify(result);
+      res.setHeader('Content-Length', Buffer.byteLength(json, 'utf8').toString());
+      res.write(json);
+      res.end();
+    });
+    return;
+  }
+
   // Serve HTML for root
   if ((url === '/' || url === '/index.html') && method === 'GET') {
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
@@ -19,6 +19,9 @@ config.setAutoStart(true);
 const llm = require('elide:llm');
 console.log('LLM API version:', llm.version());
 
+// Shared with server-node.mts: real token counts (cl100k/o200k) and UTF-8 byte sizes
+const { calculateStats } = await import('./lib/prompts.js');
+
 // ============================================
 // MODEL CONFIGURATION  
 // ============================================
@@ -121,16 +124,6 @@ function extractKernel(raw) {
   return kernelLines.join('\n').trim();
 }
 
-function calcStats(orig, comp) {
-  const oLen = orig.length, cLen = comp.length;
-  return {
-    originalChars: oLen,
-    compressedChars: cLen,
-    charRatio: Math.round(oLen / cLen * 10) / 10,
-    compressionPercent: Math.round((1 - cLen / oLen) * 100)
-  };
-}
-
 // ============================================
 // COMPRESSION FUNCTIONS
 // ============================================
@@ -165,7 +158,7 @@ function mockCompress(spec, modelId) {
     modelId: modelId || defaultModelId,
     original: spec,
     omega: omega,
-    stats: calcStats(spec, omega),
+    stats: calculateStats(spec, omega),
     elapsed: 50,
     mock: true,
     note: 'Demo mode - Elide LLM inference not yet implemented'
@@ -186,7 +179,7 @@ function compressWithLLM(spec, modelId) {
     const elapsed = Date.now() - start;
     
     const omega = extractKernel(raw);
-    const stats = calcStats(spec, omega);
+    const stats = calculateStats(spec, omega);
     
     console.log('[Compress] Done in ' + elapsed + 'ms, ratio: ' + stats.charRatio + 'x');
     
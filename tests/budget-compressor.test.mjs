@@ -0,0 +1,82 @@
+/**
+ * Tests for budget-targeted compression
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { compressToBudget, scoreSentence } from '../lib/budget-compressor.mjs';
+import { semanticCompress } from '../lib/dictionary-compressor.mjs';
+
+const FILLER = 'Please just check all the code and really fix every bug.';
+const RULES = 'You are a code reviewer. For example, you might suggest shorter names. Never push to main. Check the tests.';
+
+describe('Budget Compressor', () => {
+  describe('semanticCompress aggressive mode', () => {
+    it('should drop aggressive stopwords and report them', () => {
+      const { omega, removed } = semanticCompress(FILLER, { aggressive: true });
+      assert.strictEqual(omega, 'Ω核:查碼·修蟲');
+      assert.deepStrictEqual(removed, ['please', 'just', 'all', 'really', 'every']);
+    });
+  });
+
+  describe('compressToBudget', () => {
+    it('should stop at dictionary compression when it fits', () => {
+      const { omega, budget } = compressToBudget(FILLER, { maxChars: 100 });
+      assert.strictEqual(omega, semanticCompress(FILLER).omega);
+      assert.strictEqual(budget.strategy, 'dictionary');
+      assert.strictEqual(budget.fits, true);
+      assert.deepStrictEqual(budget.sacrificed, { stopwords: [], normalized: false, sentences: [] });
+    });
+
+    it('should escalate to aggressive stopword removal', () => {
+      const { omega, budget } = compressToBudget(FILLER, { maxChars: 10 });
+      assert.strictEqual(omega, 'Ω核:查碼·修蟲');
+      assert.strictEqual(budget.strategy, 'aggressive');
+      assert.deepStrictEqual(budget.steps.map(s => s.strategy), ['dictionary', 'aggressive']);
+      assert.ok(budget.sacrificed.stopwords.includes('please'));
+    });
+
+    it('should normalize with the callback before dropping content', () => {
+      const normalize = text => text.replace('you might suggest shorter names', 'use short names');
+      const { budget } = compressToBudget(RULES, { maxChars: 40, normalize });
+      assert.strictEqual(budget.sacrificed.normalized, true);
+      assert.ok(budget.steps.some(s => s.strategy === 'normalize'));
+    });
+
+    it('should drop low-priority sentences first and keep prohibitions', () => {
+      const { omega, budget } = compressToBudget(RULES, { maxChars: 20 });
+      assert.strictEqual(budget.strategy, 'drop');
+      assert.strictEqual(budget.fits, true);
+      assert.strictEqual(budget.sacrificed.sentences[0], 'For example, you might suggest shorter names.');
+      assert.ok(omega.includes('禁'), omega);
+      assert.ok(omega.length <= 20);
+    });
+
+    it('should respect a token budget', () => {
+      const { budget } = compressToBudget(RULES, { maxTokens: 12 });
+      assert.strictEqual(budget.fits, true);
+      assert.ok(budget.tokens <= 12);
+    });
+
+    it('should report a budget it cannot meet', () => {
+      const { omega, budget } = compressToBudget(RULES, { maxChars: 3 });
+      assert.strictEqual(budget.fits, false);
+      assert.ok(omega.length > 3);
+      assert.strictEqual(budget.sacrificed.sentences.length, 3);
+    });
+
+    it('should drop whole markdown sections without leaving empty headings', () => {
+      const spec = '# Rules\n- Never push to main\n# Examples\n- For example, use short names';
+      const { omega } = compressToBudget(spec, { maxChars: 20, markdown: true });
+      assert.strictEqual(omega, 'Ω核:§Rules\n•禁pushmain');
+    });
+  });
+
+  describe('scoreSentence', () => {
+    it('should rank prohibitions above examples', () => {
+      assert.ok(scoreSentence('Never push to main.') > scoreSentence('Check the tests.'));
+      assert.ok(scoreSentence('Check the tests.') > scoreSentence('For example, use short names.'));
+    });
+  });
+});
@@ -0,0 +1,382 @@
+/**
+ * Tests for the dictionary compressor (Layer 1)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+
+import {
+  loadDictionary,
+  validateDictionary,
+  compileDictionary,
+  getDefaultDictionary,
+  registerDictionary,
+  listDictionaries,
+  resolveDictionaries,
+  fingerprintDictionary,
+  parseKernelHeader,
+  semanticCompress,
+  decompress
+} from '../lib/dictionary-compressor.mjs';
+
+const DICTIONARY = JSON.parse(readFileSync(new URL('../dictionary.json', import.meta.url), 'utf-8'));
+const SCHEMA = JSON.parse(readFileSync(new URL('../dictionary.schema.json', import.meta.url), 'utf-8'));
+const NEGATION_RULES = JSON.parse(readFileSync(new URL('../samples/negation-rules.json', import.meta.url), 'utf-8'));
+
+describe('Dictionary Compressor', () => {
+  describe('loadDictionary', () => {
+    it('should load and compile dictionary.json', () => {
+      const dictionary = loadDictionary();
+      assert.strictEqual(dictionary.version, DICTIONARY.version);
+      assert.strictEqual(dictionary.phrases['you are a'], '你為');
+      assert.strictEqual(dictionary.words['analyze'], '析');
+      assert.ok(dictionary.stopwords.includes('the'));
+    });
+
+    it('should skip _comment entries when flattening categories', () => {
+      const dictionary = getDefaultDictionary();
+      assert.strictEqual(dictionary.phrases._comment, undefined);
+      assert.strictEqual(dictionary.words._comment, undefined);
+      assert.strictEqual(dictionary.reverse.has('_comment'), false);
+    });
+  });
+
+  describe('validateDictionary', () => {
+    it('should accept dictionary.json', () => {
+      const { valid, errors } = validateDictionary(DICTIONARY, SCHEMA);
+      assert.deepStrictEqual(errors, []);
+      assert.strictEqual(valid, true);
+    });
+
+    it('should report missing required properties', () => {
+      const { name, ...broken } = DICTIONARY;
+      const { valid, errors } = validateDictionary(broken, SCHEMA);
+      assert.strictEqual(valid, false);
+      assert.ok(errors.some(e => e.includes('"name"')));
+    });
+
+    it('should report non-string mappings with their path', () => {
+      const broken = structuredClone(DICTIONARY);
+      broken.words.verbs.analyze = 42;
+      const { errors } = validateDictionary(broken, SCHEMA);
+      assert.deepStrictEqual(errors, ['/words/verbs/analyze: expected string']);
+    });
+
+    it('should reject unknown symbol properties', () => {
+      const broken = structuredClone(DICTIONARY);
+      broken.symbols['→'].colour = 'red';
+      const { errors } = validateDictionary(broken, SCHEMA);
+      assert.deepStrictEqual(errors, ['/symbols/→/colour: unknown property']);
+    });
+  });
+
+  describe('domain dictionaries', () => {
+    const K8S_PATH = new URL('../dictionaries/k8s.json', import.meta.url);
+
+    it('should register a domain dictionary with its own precedence', () => {
+      const { name, precedence } = registerDictionary(K8S_PATH);
+      assert.strictEqual(name, 'k8s');
+      assert.strictEqual(precedence, 10);
+      assert.deepStrictEqual(listDictionaries().map(d => d.name), ['base', 'k8s']);
+    });
+
+    it('should stack domain vocabulary on top of base', () => {
+      registerDictionary(K8S_PATH);
+      const { omega } = semanticCompress('Always drain the node before a rolling update', { dictionaries: ['base', 'k8s'] });
+      assert.strictEqual(omega, 'Ω核:恆排空節點前滾更');
+    });
+
+    it('should let the higher precedence dictionary win and report the conflict', () => {
+      registerDictionary(K8S_PATH);
+      const dictionary = resolveDictionaries(['base', 'k8s']);
+      assert.strictEqual(dictionary.phrases['resource lock'], '租約');
+      const conflict = dictionary.conflicts.find(c => c.english === 'resource lock');
+      assert.deepStrictEqual(conflict.winner, { dictionary: 'k8s', omega: '租約' });
+      assert.deepStrictEqual(conflict.candidates.map(c => c.dictionary), ['base', 'k8s']);
+    });
+
+    it('should order layers by precedence rather than request order', () => {
+      registerDictionary(K8S_PATH);
+      const dictionary = resolveDictionaries(['k8s', 'base']);
+      assert.deepStrictEqual(dictionary.layers.map(l => l.name), ['base', 'k8s']);
+      assert.strictEqual(dictionary.phrases['resource lock'], '租約');
+    });
+
+    it('should honour an explicit precedence override', () => {
+      registerDictionary(K8S_PATH, { precedence: -1 });
+      assert.strictEqual(resolveDictionaries(['base', 'k8s']).phrases['resource lock'], '資鎖');
+      registerDictionary(K8S_PATH);
+    });
+
+    it('should accept inline dictionary objects', () => {
+      registerDictionary({
+        $schema: './dictionary.schema.json', name: 'finance', version: '0.1.0',
+        words: { terms: { invoice: '票', ledger: '帳' } }
+      });
+      const { omega } = semanticCompress('check the ledger', { dictionaries: ['base', 'finance'] });
+      assert.strictEqual(omega, 'Ω核:查帳');
+    });
+
+    it('should reject unknown dictionary names', () => {
+      assert.throws(() => semanticCompress('test', { dictionaries: ['base', 'nope'] }), /Unknown dictionary: nope/);
+    });
+
+    it('should expand domain symbols when decompressing with the same stack', () => {
+      registerDictionary(K8S_PATH);
+      const { english } = decompress('Ω核:排空節點', { dictionaries: ['base', 'k8s'] });
+      assert.strictEqual(english, 'drain node');
+    });
+  });
+
+  describe('fingerprints', () => {
+    it('should fingerprint a dictionary by name, version and content hash', () => {
+      const fingerprint = fingerprintDictionary(DICTIONARY);
+      assert.strictEqual(fingerprint.name, 'base');
+      assert.strictEqual(fingerprint.version, DICTIONARY.version);
+      assert.match(fingerprint.hash, /^sha256:[0-9a-f]{64}$/);
+    });
+
+    it('should ignore key order but not content', () => {
+      const reordered = Object.fromEntries(Object.entries(DICTIONARY).reverse());
+      assert.strictEqual(fingerprintDictionary(reordered).hash, fingerprintDictionary(DICTIONARY).hash);
+
+      const edited = structuredClone(DICTIONARY);
+      edited.words.verbs.analyze = '解析';
+      assert.notStrictEqual(fingerprintDictionary(edited).hash, fingerprintDictionary(DICTIONARY).hash);
+    });
+
+    it('should embed a compact header when asked', () => {
+      const { omega, dictionary } = semanticCompress('You are a helpful assistant', { header: true });
+      const hash = dictionary.hash.slice('sha256:'.length, 'sha256:'.length + 8);
+      assert.ok(omega.startsWith(`Ω核[base@${DICTIONARY.version}#${hash}]:`));
+      assert.deepStrictEqual(parseKernelHeader(omega), { layers: [{ name: 'base', version: DICTIONARY.version }], hash });
+    });
+
+    it('should decode a headed kernel with the stack it names', () => {
+      registerDictionary(new URL('../dictionaries/k8s.json', import.meta.url));
+      const { omega } = semanticCompress('drain the node', { dictionaries: ['base', 'k8s'], header: true });
+      assert.strictEqual(decompress(omega).english, 'drain node');
+    });
+
+    it('should refuse to decode on a version mismatch', () => {
+      const { omega } = semanticCompress('check the code', { header: true });
+      const stale = omega.replace(`base@${DICTIONARY.version}`, 'base@0.9.0');
+      assert.throws(() => decompress(stale), /Dictionary mismatch: kernel was encoded with base@0\.9\.0/);
+    });
+
+    it('should warn instead of refusing when asked', () => {
+      const { omega } = semanticCompress('check the code', { header: true });
+      const tampered = omega.replace(/#[0-9a-f]{8}/, '#00000000');
+      const result = decompress(tampered, { onMismatch: 'warn' });
+      assert.strictEqual(result.english, 'check code');
+      assert.match(result.warnings[0], /content hash differs/);
+    });
+
+    it('should check an envelope fingerprint for headerless kernels', () => {
+      const fingerprint = { name: 'base', version: DICTIONARY.version, hash: 'sha256:0123' };
+      assert.throws(() => decompress('Ω核:查碼', { fingerprint }), /content hash differs/);
+    });
+  });
+
+  describe('semanticCompress', () => {
+    it('should prefix output with Ω核:', () => {
+      const { omega } = semanticCompress('You are a helpful assistant');
+      assert.ok(omega.startsWith('Ω核:'));
+    });
+
+    it('should apply phrases, words, symbols and stopwords', () => {
+      const { omega } = semanticCompress('Agent claim on the work queue, then release the resource lock.');
+      assert.strictEqual(omega, 'Ω核:代理占工隊·次釋資鎖');
+    });
+
+    it('should not match dictionary entries inside words', () => {
+      const { omega } = semanticCompress('The agent claims the reviewer slot');
+      assert.strictEqual(omega, 'Ω核:代理claims審查slot');
+    });
+
+    it('should prefer the longest match at each position', () => {
+      const { omega } = semanticCompress('When you do not know, say so');
+      assert.ok(omega.includes('勿'), omega);
+      assert.ok(!omega.includes('¬'), omega);
+    });
+
+    it('should not depend on dictionary map ordering', () => {
+      const reversed = structuredClone(DICTIONARY);
+      for (const section of ['phrases', 'words']) {
+        reversed[section] = Object.fromEntries(Object.entries(reversed[section]).reverse()
+          .map(([k, v]) => [k, typeof v === 'object' ? Object.fromEntries(Object.entries(v).reverse()) : v]));
+      }
+      reversed.symbols = Object.fromEntries(Object.entries(reversed.symbols).reverse());
+      reversed.stopwords = [...reversed.stopwords].reverse();
+
+      const spec = readFileSync(new URL('../samples/system-prompts.json', import.meta.url), 'utf-8');
+      const expected = semanticCompress(spec, { dictionary: compileDictionary(DICTIONARY) }).omega;
+      assert.strictEqual(semanticCompress(spec, { dictionary: compileDictionary(reversed) }).omega, expected);
+    });
+
+    it('should compress a 50KB prompt in under 50ms', () => {
+      let spec = readFileSync(new URL('../samples/system-prompts.json', import.meta.url), 'utf-8');
+      while (spec.length < 50000) spec += spec;
+      spec = spec.slice(0, 50000);
+
+      const timings = [];
+      for (let i = 0; i < 3; i++) {
+        const start = performance.now();
+        semanticCompress(spec);
+        timings.push(performance.now() - start);
+      }
+      assert.ok(Math.min(...timings) < 50, `fastest run took ${Math.round(Math.min(...timings))}ms`);
+    });
+
+    it('should keep code, URLs and paths byte-for-byte', () => {
+      const { omega } = semanticCompress('Edit `Server.ts` and the config.json file, then check https://example.com/Docs.');
+      assert.strictEqual(omega, 'Ω核:Edit `Server.ts`·config.json 檔·次查 https://example.com/Docs');
+    });
+
+    it('should keep adjacent protected spans apart through a round trip', () => {
+      const { omega } = semanticCompress('Always edit config.json https://example.com/x before you commit.');
+      assert.strictEqual(omega, 'Ω核:恆edit config.json https://example.com/x 先commit');
+      const { english, tokens } = decompress(omega);
+      assert.strictEqual(english, 'always edit config.json https://example.com/x before you commit');
+      assert.deepStrictEqual(tokens.filter(t => t.source === 'protected').map(t => t.omega),
+        ['config.json', 'https://example.com/x']);
+    });
+
+    it('should keep variables, quoted strings and fenced code', () => {
+      const { omega } = semanticCompress('Set $HOME, then return "File not found".\n```\nconst file = x;\n```');
+      assert.ok(omega.includes('$HOME'), omega);
+      assert.ok(omega.includes('"File not found"'), omega);
+      assert.ok(omega.endsWith('```\nconst file = x;\n```'), omega);
+    });
+
+    it('should keep <keep> regions and drop the tags', () => {
+      const { omega } = semanticCompress('Always <keep>Do NOT touch the file</keep>');
+      assert.strictEqual(omega, 'Ω核:恆 Do NOT touch the file');
+    });
+
+    it('should keep U+E000 in the input without misplacing protected spans', () => {
+      const { omega } = semanticCompress('weird \uE000 char and `code`');
+      assert.strictEqual(omega, 'Ω核:weird \uE000 char·`code`');
+      assert.ok(!omega.includes('undefined'), omega);
+
+      const markdown = semanticCompress('- \uE000 then `a` and `b`', { markdown: true }).omega;
+      assert.ok(markdown.includes('\uE000') && markdown.indexOf('`a`') < markdown.indexOf('`b`'), markdown);
+    });
+
+    it('should match case-insensitively but keep the case of unmatched words', () => {
+      const { omega } = semanticCompress('Check GitHub and PostgreSQL for the JWT Bug in UserService');
+      assert.strictEqual(omega, 'Ω核:查GitHub·PostgreSQLJWT蟲UserService');
+    });
+
+    it('should keep words on the preserve list even when they are dictionary entries', () => {
+      assert.strictEqual(semanticCompress('Ask IT about it').omega, 'Ω核:問 IT');
+      registerDictionary({
+        $schema: './dictionary.schema.json', name: 'lang', version: '0.1.0', preserve: ['Swift', 'Rust'],
+        words: { terms: { swift: '速', rust: '鏽' } }
+      });
+      const { omega } = semanticCompress('Swift code, swift fix', { dictionaries: ['base', 'lang'] });
+      assert.strictEqual(omega, 'Ω核:Swift 碼·速修');
+      assert.strictEqual(decompress(omega, { dictionaries: ['base', 'lang'] }).tokens[0].source, 'protected');
+    });
+
+    it('should report compression stats', () => {
+      const { stats } = semanticCompress('You are a helpful assistant');
+      assert.strictEqual(stats.originalChars, 27);
+      assert.ok(stats.charRatio > 1);
+    });
+  });
+
+  describe('markdown mode', () => {
+    const PROMPT = [
+      '# Rules', '', 'You are a **careful** reviewer.', '', '## Checks', '',
+      '1. **Security First**: never trust input.', '2. Check tests:', '   - unit tests', '     * edge cases',
+      '- Be concise', '', '---'
+    ].join('\n');
+
+    it('should keep headings, lists, numbering and line breaks', () => {
+      const { omega } = semanticCompress(PROMPT, { markdown: true });
+      assert.strictEqual(omega, [
+        'Ω核:§Rules', '你為careful審查', '§§Checks', '1.安首:禁trust入', '2.查tests', ' •單測', '  •邊界', '•簡'
+      ].join('\n'));
+    });
+
+    it('should flatten structure outside markdown mode', () => {
+      const { omega } = semanticCompress(PROMPT);
+      assert.ok(!omega.includes('\n'), omega);
+    });
+
+    it('should keep fenced code intact inside list items', () => {
+      const { omega } = semanticCompress('- Run:\n```sh\nnpm test\n```', { markdown: true });
+      assert.strictEqual(omega, 'Ω核:•運\n```sh\nnpm test\n```');
+    });
+
+    it('should decompress kernel lines back into markdown', () => {
+      const { omega } = semanticCompress(PROMPT, { markdown: true });
+      const { english } = decompress(omega);
+      assert.strictEqual(english.split('\n')[2], '## Checks');
+      assert.strictEqual(english.split('\n')[5], ' - unit test');
+    });
+  });
+
+  describe('negations', () => {
+    for (const { id, input, negations } of NEGATION_RULES.samples) {
+      it(`should keep the negation in ${id}`, () => {
+        const { omega } = semanticCompress(input);
+        assert.deepStrictEqual([...omega].filter(ch => /[¬勿禁不]/.test(ch)), negations, omega);
+
+        const { english } = decompress(omega);
+        assert.strictEqual(english.match(/\b(?:not|never|no)\b|n't\b/g)?.length, negations.length, english);
+      });
+    }
+
+    it('should emit a negation even when a phrase swallows it', () => {
+      registerDictionary({
+        $schema: './dictionary.schema.json', name: 'lossy', version: '0.1.0',
+        phrases: { rules: { 'not required': '可選' } }
+      });
+      const { omega } = semanticCompress('Review not required', { dictionaries: ['base', 'lossy'] });
+      assert.strictEqual(omega, 'Ω核:審¬可選');
+    });
+  });
+
+  describe('decompress', () => {
+    it('should expand kernels with a canonical English form', () => {
+      const { english } = decompress('Ω核:你為助益碼助·恆意>詞');
+      assert.strictEqual(english, 'you are helpful code assistant, always prioritize understanding');
+    });
+
+    it('should record per-token provenance', () => {
+      const { tokens } = decompress('Ω核:你為助');
+      assert.deepStrictEqual(tokens[0], {
+        omega: '你為', english: 'you are', source: 'phrase', index: 0,
+        alternatives: ['you are a', 'you are an']
+      });
+      assert.strictEqual(tokens[1].source, 'word');
+    });
+
+    it('should expand operators', () => {
+      const { english } = decompress('Ω核:查|測→¬修');
+      assert.strictEqual(english, 'check or test then not fix');
+    });
+
+    it('should pass unknown content through as literals', () => {
+      const { english, stats } = decompress('Ω核:審schema');
+      assert.strictEqual(english, 'review schema');
+      assert.strictEqual(stats.unknownTokens, 1);
+    });
+
+    it('should pass protected spans through untouched', () => {
+      const { english, tokens } = decompress('Ω核:查`file.ts`·https://example.com/a');
+      assert.strictEqual(english, 'check `file.ts`, https://example.com/a');
+      assert.deepStrictEqual(tokens.filter(t => t.source === 'protected').map(t => t.omega),
+        ['`file.ts`', 'https://example.com/a']);
+    });
+
+    it('should only match ASCII symbols at word boundaries', () => {
+      const { tokens } = decompress('Ω核:PR·APRIL');
+      assert.strictEqual(tokens[0].english, 'pull request');
+      assert.strictEqual(tokens[2].source, 'literal');
+    });
+  });
+});
@@ -291,6 +291,45 @@ export async function runAPITests() {
     }
   });
 
+  // Decompress endpoint
+  await test('Decompress endpoint expands a kernel', async () => {
+    const compResp = await fetch(`${BASE_URL}/api/compress`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ spec: SAMPLE_SPECS.simple })
+    });
+    const { omega } = await compResp.json();
+    const resp = await fetch(`${BASE_URL}/api/decompress`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ omega })
+    });
+    const data = await resp.json();
+    if (resp.status !== 200 || !data.success || !data.english || !Array.isArray(data.tokens)) {
+      throw new Error('Decompression failed: ' + JSON.stringify(data));
+    }
+  });
+
+  await test('Decompress endpoint reports bad input as 400', async () => {
+    const cases = [
+      ['{not json', /^Invalid JSON: /],
+      [JSON.stringify({}), /^Missing omega, payload or envelope$/],
+      [JSON.stringify({ payload: 'bm90IGd6aXA=', transport: 'gzip' }), /^Cannot decode gzip transport/],
+      [JSON.stringify({ envelope: { omega: 'Ω核:x', version: '2.0', layers: ['dict'] } }), /^Unsupported envelope version/]
+    ];
+    for (const [body, error] of cases) {
+      const resp = await fetch(`${BASE_URL}/api/decompress`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+      });
+      const data = await resp.json();
+      if (resp.status !== 400 || data.success !== false || !error.test(data.error)) {
+        throw new Error(`Expected 400 ${error} for ${body}, got ${resp.status} ${JSON.stringify(data)}`);
+      }
+    }
+  });
+
   // Summary
   console.log('\n====================================');
   console.log(`API Results: ${results.passed} passed, ${results.failed} failed`);
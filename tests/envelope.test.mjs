@@ -0,0 +1,123 @@
+/**
+ * Tests for the extended-format envelope (SPEC §3)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { gunzipSync } from 'node:zlib';
+
+import { encodeEnvelope, decodeEnvelope, decodeInput, ENVELOPE_VERSION } from '../lib/envelope.mjs';
+import { encodeTransport } from '../lib/transport.mjs';
+import { semanticCompress, registerDictionary } from '../lib/dictionary-compressor.mjs';
+import { compressToBudget } from '../lib/budget-compressor.mjs';
+
+const SPEC = 'You are a helpful assistant. Always check the code before you commit.';
+const K8S_PATH = new URL('../dictionaries/k8s.json', import.meta.url);
+
+describe('Envelope', () => {
+  describe('encodeEnvelope', () => {
+    it('should wrap a kernel with version, layers, dictionary and stats', () => {
+      const result = semanticCompress(SPEC);
+      const envelope = encodeEnvelope(result);
+      assert.deepStrictEqual(Object.keys(envelope), ['omega', 'version', 'layers', 'dictionary', 'stats']);
+      assert.strictEqual(envelope.omega, result.omega);
+      assert.strictEqual(envelope.version, ENVELOPE_VERSION);
+      assert.deepStrictEqual(envelope.layers, ['dict']);
+      assert.deepStrictEqual(envelope.dictionary, result.dictionary);
+      assert.deepStrictEqual(envelope.stats, {
+        originalChars: SPEC.length,
+        compressedChars: result.omega.length,
+        ratio: result.stats.charRatio
+      });
+    });
+
+    it('should gzip and base64 the kernel for the gzip layer', () => {
+      const result = semanticCompress(SPEC);
+      const envelope = encodeEnvelope(result, { layers: ['dict', 'gzip'] });
+      const bytes = Buffer.from(envelope.omega, 'base64');
+      assert.strictEqual(gunzipSync(bytes).toString('utf-8'), result.omega);
+      assert.strictEqual(envelope.stats.encodedBytes, bytes.length);
+      assert.strictEqual(envelope.stats.compressedChars, result.omega.length);
+    });
+
+    it('should reject invalid layer chains', () => {
+      const result = semanticCompress(SPEC);
+      assert.throws(() => encodeEnvelope(result, { layers: ['dict', 'zip'] }), /Unknown envelope layer: zip/);
+      assert.throws(() => encodeEnvelope(result, { layers: ['gzip'] }), /must include dict/);
+      assert.throws(() => encodeEnvelope(result, { layers: ['gzip', 'dict'] }), /must come after llm and dict/);
+    });
+  });
+
+  describe('decodeEnvelope', () => {
+    it('should round-trip through JSON and the gzip layer', () => {
+      const result = semanticCompress(SPEC);
+      const json = JSON.stringify(encodeEnvelope(result, { layers: ['llm', 'dict', 'gzip'] }));
+      const decoded = decodeEnvelope(json);
+      assert.strictEqual(decoded.omega, result.omega);
+      assert.deepStrictEqual(decoded.layers, ['llm', 'dict', 'gzip']);
+      assert.strictEqual(decoded.english, 'you are helpful assistant, always check code before you commit');
+      assert.ok(decoded.tokens.length > 0);
+    });
+
+    it('should only unwrap the kernel without expand', () => {
+      const result = semanticCompress(SPEC);
+      const decoded = decodeEnvelope(encodeEnvelope(result, { layers: ['dict', 'gzip'] }), { expand: false });
+      assert.strictEqual(decoded.omega, result.omega);
+      assert.strictEqual(decoded.english, undefined);
+    });
+
+    it('should expand with the dictionary stack the envelope names', () => {
+      registerDictionary(K8S_PATH);
+      const result = semanticCompress('Always drain the node before a rolling update', { dictionaries: ['base', 'k8s'] });
+      const decoded = decodeEnvelope(encodeEnvelope(result));
+      assert.match(decoded.english, /rolling update/);
+    });
+
+    it('should check the envelope fingerprint against the local dictionary', () => {
+      const envelope = encodeEnvelope(semanticCompress(SPEC));
+      const stale = { ...envelope, dictionary: { ...envelope.dictionary, hash: 'sha256:0000000000' } };
+      assert.throws(() => decodeEnvelope(stale), /Dictionary mismatch/);
+      assert.match(decodeEnvelope(stale, { onMismatch: 'warn' }).warnings[0], /content hash differs/);
+    });
+
+    it('should reject malformed envelopes', () => {
+      const envelope = encodeEnvelope(semanticCompress(SPEC));
+      assert.throws(() => decodeEnvelope({ version: '1.0' }), /missing omega/);
+      assert.throws(() => decodeEnvelope({ ...envelope, version: '2.0' }), /Unsupported envelope version: 2.0/);
+      assert.throws(() => decodeEnvelope({ ...envelope, layers: ['dict', 'lz4'] }), /Unknown envelope layer: lz4/);
+    });
+
+    it('should accept budget results', () => {
+      const result = compressToBudget(SPEC, { maxChars: 100 });
+      const decoded = decodeEnvelope(encodeEnvelope(result, { layers: ['dict', 'gzip'] }));
+      assert.strictEqual(decoded.omega, result.omega);
+      assert.strictEqual(decoded.stats.originalChars, SPEC.length);
+    });
+  });
+
+  describe('decodeInput', () => {
+    const { omega } = semanticCompress(SPEC);
+    const { english } = decodeEnvelope(encodeEnvelope(semanticCompress(SPEC)));
+
+    it('should expand a kernel, a transport payload or an envelope alike', () => {
+      assert.strictEqual(decodeInput({ omega }).english, english);
+
+      const { payload } = encodeTransport(omega, ['brotli']);
+      const fromPayload = decodeInput({ payload, transport: 'brotli' });
+      assert.strictEqual(fromPayload.english, english);
+      assert.deepStrictEqual(fromPayload.transport, ['brotli']);
+
+      const envelope = encodeEnvelope(semanticCompress(SPEC), { layers: ['dict', 'gzip'] });
+      assert.strictEqual(decodeInput({ envelope }).english, english);
+      assert.strictEqual(decodeInput({ envelope: JSON.stringify(envelope) }).omega, omega);
+    });
+
+    it('should throw the decoder\'s error for bad input', () => {
+      assert.throws(() => decodeInput({}), /Missing omega, payload or envelope/);
+      assert.throws(() => decodeInput(null), /Missing omega, payload or envelope/);
+      assert.throws(() => decodeInput({ payload: 'bm90IGd6aXA=' }), /Cannot decode gzip transport/);
+      assert.throws(() => decodeInput({ payload: 'eA==', transport: 'lz4' }), /Unknown transport: lz4/);
+      assert.throws(() => decodeInput({ envelope: { omega, version: '2.0', layers: ['dict'] } }), /Unsupported envelope version/);
+    });
+  });
+});
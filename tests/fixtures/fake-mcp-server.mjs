@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Fake upstream MCP server for tests/mcp-proxy.test.mjs
+ *
+ * Answers initialize, tools/list and tools/call over stdio. `list_issues` returns
+ * a large pretty-printed JSON payload; `echo` returns its argument.
+ */
+
+import { createInterface } from 'node:readline';
+
+const ISSUES = {
+  status: 'success',
+  total_count: 30,
+  items: Array.from({ length: 30 }, (_, i) => ({
+    number: i + 1,
+    title: `Issue number ${i + 1}`,
+    description: null,
+    labels: [],
+    status: i % 2 ? 'completed' : 'pending',
+    _meta: { etag: `W/"${i}"` }
+  }))
+};
+
+const TOOLS = [
+  { name: 'list_issues', description: 'List issues', inputSchema: { type: 'object', properties: {} } },
+  { name: 'echo', description: 'Echo text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } }
+];
+
+function handle({ id, method, params }) {
+  if (method === 'initialize') {
+    return { protocolVersion: '2025-06-18', capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1.0.0' } };
+  }
+  if (method === 'tools/list') return { tools: TOOLS };
+  if (method === 'tools/call' && params.name === 'list_issues') {
+    return { content: [{ type: 'text', text: JSON.stringify(ISSUES, null, 2) }] };
+  }
+  if (method === 'tools/call' && params.name === 'echo') {
+    return { content: [{ type: 'text', text: params.arguments.text }] };
+  }
+  return undefined;
+}
+
+createInterface({ input: process.stdin }).on('line', line => {
+  const message = JSON.parse(line);
+  if (message.id === undefined) return;             // notification
+  const result = handle(message);
+  const reply = result
+    ? { jsonrpc: '2.0', id: message.id, result }
+    : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Unknown method: ${message.method}` } };
+  process.stdout.write(JSON.stringify(reply) + '\n');
+});
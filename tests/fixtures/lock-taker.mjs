@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Lock taker process for the stale-lock test in tests/omega-stream.test.mjs
+ *
+ * Usage: node lock-taker.mjs CHANNEL DEAD_PID COUNT
+ * Takes the channel lock COUNT times. While holding it, checks that no other process
+ * does; after releasing it, leaves a lock of the exited process DEAD_PID behind, so
+ * every taker has to break a stale lock first.
+ */
+
+import { openSync, closeSync, rmSync, writeFileSync } from 'fs';
+import { hostname } from 'os';
+import { withStreamLock } from '../../lib/omega-stream.mjs';
+
+const [channel, deadPid, count] = process.argv.slice(2);
+const stale = JSON.stringify({ pid: Number(deadPid), host: hostname(), at: Date.now() });
+for (let i = 0; i < Number(count); i++) {
+  const logFile = withStreamLock(channel, file => {
+    // EEXIST here means two processes hold the lock at once
+    closeSync(openSync(`${file}.holder`, 'wx'));
+    rmSync(`${file}.holder`);
+    return file;
+  });
+  try {
+    writeFileSync(`${logFile}.lock`, stale, { flag: 'wx' });
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+}
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+/**
+ * Stream writer process for the concurrent-writer test in tests/omega-stream.test.mjs
+ *
+ * Usage: node stream-writer.mjs CHANNEL AGENT COUNT SIZE
+ * Appends COUNT messages of SIZE characters as AGENT, as fast as it can.
+ */
+
+import { streamMessage } from '../../lib/omega-stream.mjs';
+
+const [channel, agent, count, size] = process.argv.slice(2);
+for (let i = 0; i < Number(count); i++) {
+  const message = `${agent}#${i}:` + agent.slice(-1).repeat(Number(size));
+  streamMessage(agent, message, { channel, compress: false });
+}
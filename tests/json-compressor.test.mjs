@@ -0,0 +1,127 @@
+/**
+ * Tests for structure-aware JSON compression
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { compressJSON, expandJSON, legendFor, truncateJSON } from '../lib/json-compressor.mjs';
+
+const RESULT = {
+  status: 'success',
+  message: 'This is a test message',
+  data: {
+    created: '2025-12-18T19:00:00Z',
+    note: null,
+    tags: [],
+    _meta: { trace: 'abc' },
+    content: [{ type: 'text', text: 'completed' }]
+  },
+  isError: false
+};
+
+describe('JSON Compressor', () => {
+  describe('compressJSON', () => {
+    it('should abbreviate keys and leave values alone', () => {
+      const { value } = compressJSON(RESULT);
+      assert.strictEqual(value.msg, 'This is a test message');
+      assert.strictEqual(value.st, 'success');
+      assert.deepStrictEqual(value.data.cnt, [{ type: 'text', text: 'completed' }]);
+    });
+
+    it('should drop null, empty and boilerplate fields and report them', () => {
+      const { value, dropped } = compressJSON(RESULT);
+      assert.deepStrictEqual(dropped, ['data.note', 'data.tags', 'data._meta', 'isError']);
+      assert.deepStrictEqual(Object.keys(value.data), ['crt', 'cnt']);
+    });
+
+    it('should drop objects that end up empty', () => {
+      const { json, dropped } = compressJSON({ a: 1, b: { c: null, d: '' } });
+      assert.strictEqual(json, '{"a":1}');
+      assert.deepStrictEqual(dropped, ['b.c', 'b.d', 'b']);
+    });
+
+    it('should keep array elements in place', () => {
+      assert.strictEqual(compressJSON({ list: [null, 1, {}] }).json, '{"list":[null,1,{}]}');
+    });
+
+    it('should encode whole values only when asked', () => {
+      const { value } = compressJSON(RESULT, { encodeValues: true });
+      assert.strictEqual(value.st, '✓');
+      assert.strictEqual(value.data.cnt[0].text, '完');
+      assert.strictEqual(value.msg, 'This is a test message');
+    });
+
+    it('should accept JSON strings', () => {
+      assert.strictEqual(compressJSON('{"description":"x"}').json, '{"dsc":"x"}');
+    });
+  });
+
+  describe('expandJSON', () => {
+    it('should restore keys and values', () => {
+      const { json } = compressJSON(RESULT, { encodeValues: true });
+      const { note, tags, _meta, ...data } = RESULT.data;
+      assert.deepStrictEqual(expandJSON(json, { encodeValues: true }), {
+        status: 'success', message: 'This is a test message', data
+      });
+    });
+
+    it('should round-trip exactly without dropping', () => {
+      const tricky = { ...RESULT, msg: 'short key', '~x': '~y', st: '✓', level: 'error' };
+      const { json } = compressJSON(tricky, { encodeValues: true, dropEmpty: false });
+      assert.deepStrictEqual(expandJSON(json, { encodeValues: true }), tricky);
+    });
+
+    it('should use custom dictionaries', () => {
+      const keys = { repository: 'repo' };
+      const { json } = compressJSON({ repository: 'omega', repo: 'x' }, { keys });
+      assert.strictEqual(json, '{"repo":"omega","~repo":"x"}');
+      assert.deepStrictEqual(expandJSON(json, { keys }), { repository: 'omega', repo: 'x' });
+    });
+
+    it('should reject dictionaries that are not one-to-one', () => {
+      assert.throws(() => compressJSON({}, { keys: { alpha: 'a', apple: 'a' } }), /Abbreviation "a" is used for both/);
+    });
+  });
+
+  describe('legendFor', () => {
+    it('should list only the abbreviations a value uses', () => {
+      const { json } = compressJSON({ status: 'success', items: [{ message: 'hi', st: 'x' }] }, { encodeValues: true });
+      assert.deepStrictEqual(legendFor(json, { encodeValues: true }), { st: 'status', '✓': 'success', msg: 'message' });
+      assert.deepStrictEqual(legendFor(json), { st: 'status', msg: 'message' });
+      assert.deepStrictEqual(legendFor({ id: 1, title: 'x' }), {});
+    });
+  });
+
+  describe('truncateJSON', () => {
+    const LOG = { status: 'ok', lines: Array.from({ length: 50 }, (_, i) => `line ${i}`), summary: 'x'.repeat(300), total: 50 };
+
+    it('should leave values that fit alone', () => {
+      const { json, truncated, fits } = truncateJSON(LOG, { maxLength: 10000 });
+      assert.strictEqual(json, JSON.stringify(LOG));
+      assert.deepStrictEqual(truncated, []);
+      assert.strictEqual(fits, true);
+    });
+
+    it('should trim arrays with counts and shorten strings', () => {
+      const { value, json, fits, truncated } = truncateJSON(LOG, { maxLength: 200 });
+      assert.strictEqual(fits, true);
+      assert.ok(json.length <= 200);
+      assert.strictEqual(value.status, 'ok');
+      assert.strictEqual(value.total, 50);
+      assert.match(value.lines.at(-1), /^…\+\d+ more$/);
+      assert.ok(value.summary.endsWith('…'));
+      assert.deepStrictEqual(truncated.map(t => t.path), ['lines', 'summary']);
+    });
+
+    it('should apply explicit item and string limits', () => {
+      const { value } = truncateJSON(LOG, { maxItems: 2, maxString: 6 });
+      assert.deepStrictEqual(value.lines, ['line 0', 'line 1', '…+48 more']);
+      assert.strictEqual(value.summary, 'xxxxxx…');
+    });
+
+    it('should report when the value cannot fit', () => {
+      assert.strictEqual(truncateJSON(LOG, { maxLength: 10 }).fits, false);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for token-cost-aware MCP response compression
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+
+import { compressMCPResponse, detectModelFamily } from '../lib/mcp-compressor.mjs';
+import { registerTokenizer, countTokens } from '../lib/tokenizers.mjs';
+
+const RESPONSE = {
+  status: 'success',
+  message: 'Agent completed the task successfully',
+  data: { created: '2025-12-18T19:00:00Z', channel: 'dev-backend', content: 'Deployment finished' }
+};
+
+describe('MCP Compressor', () => {
+  describe('detectModelFamily', () => {
+    it('should detect families from model names', () => {
+      assert.strictEqual(detectModelFamily('qwen2.5:3b'), 'qwen');
+      assert.strictEqual(detectModelFamily('gpt-4o'), 'gpt');
+      assert.strictEqual(detectModelFamily('mystery-7b'), 'unknown');
+    });
+  });
+
+  describe('compressMCPResponse', () => {
+    it('should pick the candidate with the fewest tokens', () => {
+      const result = compressMCPResponse(RESPONSE, 'gpt-4o');
+      const fewest = Math.min(...result.candidates.map(c => c.tokens));
+      assert.strictEqual(result.tokens.compressed, fewest);
+      assert.strictEqual(result.tokens.compressed, countTokens(result.compressed));
+      assert.deepStrictEqual(result.candidates.map(c => c.strategy), ['raw', 'minified', 'compact', 'omega']);
+    });
+
+    it('should not pick Omega when it costs more tokens', () => {
+      const result = compressMCPResponse(RESPONSE, 'gpt-4o');
+      assert.strictEqual(result.strategy, 'minified');
+      assert.match(result.rationale, /^minified: \d+ tokens with o200k_base \(gpt\) \(raw \d+, compact \d+, omega \d+\)$/);
+    });
+
+    it('should pick Omega when the target tokenizer favours it', () => {
+      registerTokenizer('qwen', { name: 'chars', countTokens: text => [...text].length });
+      const steps = Array.from({ length: 10 }, (_, i) => ({ status: 'completed', description: `Step ${i}` }));
+      const result = compressMCPResponse({ status: 'success', steps }, 'qwen2.5:3b');
+      assert.strictEqual(result.strategy, 'omega');
+      assert.strictEqual(result.tokenizer, 'chars');
+      assert.ok(result.tokens.savings > 0);
+      assert.strictEqual(JSON.parse(result.compressed).st, '✓');
+    });
+
+    it('should attach a legend to abbreviated candidates and count it', () => {
+      registerTokenizer('qwen', { name: 'chars', countTokens: text => [...text].length });
+      const steps = Array.from({ length: 10 }, (_, i) => ({ status: 'completed', description: `Step ${i}` }));
+      const result = compressMCPResponse({ status: 'success', steps }, 'qwen2.5:3b');
+      assert.strictEqual(result.legend, 'Legend: st=status, ✓=success, 完=completed, dsc=description');
+      assert.strictEqual(result.tokens.compressed, [...result.compressed].length + [...result.legend].length);
+
+      // Too small for the abbreviations to pay for their legend
+      const small = compressMCPResponse(RESPONSE, 'qwen2.5:3b');
+      assert.strictEqual(small.strategy, 'minified');
+      assert.strictEqual(small.legend, undefined);
+    });
+
+    it('should keep JSON responses valid JSON', () => {
+      for (const model of ['gpt-4o', 'qwen2.5:3b', 'claude-sonnet-4']) {
+        const { compressed, strategy } = compressMCPResponse(RESPONSE, model);
+        assert.doesNotThrow(() => JSON.parse(compressed), `${model} ${strategy}`);
+      }
+    });
+
+    it('should count unregistered families with the GPT tokenizer and say so', () => {
+      const result = compressMCPResponse(RESPONSE, 'claude-sonnet-4');
+      assert.strictEqual(result.tokenizer, 'o200k_base');
+      assert.match(result.rationale, /no claude tokenizer registered/);
+    });
+
+    it('should keep plain text raw unless a policy asks for Omega', () => {
+      registerTokenizer('qwen', { name: 'chars', countTokens: text => [...text].length });
+      const log = 'error: getMessage() failed, status pending';
+      const result = compressMCPResponse(log, 'qwen2.5:3b');
+      assert.strictEqual(result.strategy, 'raw');
+      assert.strictEqual(result.compressed, log);
+      assert.deepStrictEqual(result.candidates.map(c => c.strategy), ['raw']);
+
+      const forced = compressMCPResponse(log, 'qwen2.5:3b', { strategy: 'omega' });
+      assert.strictEqual(forced.compressed, '✗: getMessage() 敗, 態 待');
+      assert.strictEqual(forced.legend, 'Legend: ✗=error, 態=status, 待=pending, 敗=failed');
+    });
+
+    it('should truncate only when no complete candidate fits', () => {
+      const result = compressMCPResponse(RESPONSE, 'gpt-4o', { maxLength: 150 });
+      assert.strictEqual(result.strategy, 'truncate');
+      assert.match(result.rationale, /^truncate: no complete candidate fits in 150 chars/);
+      assert.strictEqual(result.candidates.find(c => c.strategy === 'truncate').complete, false);
+      assert.ok(result.compressedLength <= 150);
+      assert.strictEqual(JSON.parse(result.compressed).status, 'success', 'keys need no legend');
+    });
+
+    it('should keep truncated JSON valid with every key', () => {
+      const response = { items: Array.from({ length: 40 }, (_, i) => ({ id: i, title: `Issue ${i}` })), total: 40 };
+      const { compressed } = compressMCPResponse(response, 'gpt-4o', { maxLength: 200 });
+      const parsed = JSON.parse(compressed);
+      assert.strictEqual(parsed.total, 40);
+      assert.strictEqual(parsed.items[0].title, 'Issue 0');
+      assert.match(parsed.items.at(-1), /^…\+\d+ more$/);
+    });
+
+    it('should cut plain text at a word boundary', () => {
+      const text = 'word '.repeat(100).trim();
+      const { compressed, strategy } = compressMCPResponse(text, 'gpt-4o', { maxLength: 60 });
+      assert.strictEqual(strategy, 'truncate');
+      assert.match(compressed, /^(word )*word…\[\+\d+ chars\]$/);
+      assert.ok(compressed.length <= 60);
+    });
+
+    it('should offer a summary when a summarize callback is given', () => {
+      const summarize = (text, maxLength) => `Task completed (${maxLength})`;
+      const result = compressMCPResponse(RESPONSE, 'gpt-4o', { maxLength: 100, summarize });
+      assert.strictEqual(result.strategy, 'summary');
+      assert.strictEqual(result.compressed, 'Task completed (100)');
+    });
+
+    it('should fall back to truncation when summarize fails', () => {
+      const summarize = () => { throw new Error('model offline'); };
+      const result = compressMCPResponse(RESPONSE, 'gpt-4o', { maxLength: 100, summarize });
+      assert.strictEqual(result.strategy, 'truncate');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for MCP compression policies
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { fileURLToPath } from 'node:url';
+
+import { parsePath, selectFields, validatePolicy, loadPolicy, policyFor } from '../lib/mcp-policy.mjs';
+import { compressMCPResponse } from '../lib/mcp-compressor.mjs';
+
+const POLICY_FILE = fileURLToPath(new URL('../mcp-policy.json', import.meta.url));
+
+// Status blob around chat messages, as in tests/stream-vs-mcp-comparison.mjs
+const MESSAGES = {
+  messages: [
+    { _id: 'msg_0', _creationTime: 1, author: 'agent-0', authorType: 'agent', message: 'Deploy is green' },
+    { _id: 'msg_1', _creationTime: 2, author: 'agent-1', authorType: 'agent', message: 'Merging now' }
+  ],
+  count: 2,
+  suggestedPollIntervalMs: 60000,
+  pollingTip: '💡 Poll again in 60s',
+  agentReminder: '⚠️ Process messages silently...',
+  sessionRule: '🚨 NEVER respond to CLI...',
+  humanAbsence: { absent: false, minutesSinceLastHuman: 5 }
+};
+
+describe('MCP Policy', () => {
+  describe('parsePath', () => {
+    it('should parse the supported JSONPath subset', () => {
+      assert.deepStrictEqual(parsePath('$.messages[*]._id'), ['messages', '*', '_id']);
+      assert.deepStrictEqual(parsePath("$['a.b'][0]..etag"), ['a.b', 0, '**', 'etag']);
+      assert.deepStrictEqual(parsePath('$'), []);
+    });
+
+    it('should reject invalid paths', () => {
+      assert.throws(() => parsePath('messages'), /must start with \$/);
+      assert.throws(() => parsePath('$.a[?(@.x)]'), /Invalid JSON path/);
+      assert.throws(() => parsePath('$.a..'), /cannot end with/);
+    });
+  });
+
+  describe('selectFields', () => {
+    it('should remove denied paths', () => {
+      const { value, removed } = selectFields(MESSAGES, { deny: ['$.pollingTip', '$.messages[*]._id', '$..absent'] });
+      assert.strictEqual(value.pollingTip, undefined);
+      assert.deepStrictEqual(Object.keys(value.messages[0]), ['_creationTime', 'author', 'authorType', 'message']);
+      assert.deepStrictEqual(value.humanAbsence, { minutesSinceLastHuman: 5 });
+      assert.deepStrictEqual(removed, ['$.messages[0]._id', '$.messages[1]._id', '$.pollingTip', '$.humanAbsence.absent']);
+    });
+
+    it('should keep only allowed paths and their ancestors', () => {
+      const { value } = selectFields(MESSAGES, { allow: ['$.messages[*].message', '$.count'] });
+      assert.deepStrictEqual(value, { messages: [{ message: 'Deploy is green' }, { message: 'Merging now' }], count: 2 });
+    });
+
+    it('should apply deny inside allowed subtrees', () => {
+      const { value } = selectFields(MESSAGES, { allow: ['$.messages'], deny: ['$.messages[0]'] });
+      assert.deepStrictEqual(value.messages.map(m => m._id), ['msg_1']);
+    });
+  });
+
+  describe('policy files', () => {
+    it('should load the repository policy', () => {
+      const policy = loadPolicy(POLICY_FILE);
+      assert.strictEqual(policyFor(policy, 'read_file').strategy, 'passthrough');
+      assert.strictEqual(policyFor(policy, 'get_pull_request_diff').strategy, 'passthrough');
+      assert.strictEqual(policyFor(policy, 'read_messages').maxLength, 8000);
+      assert.deepStrictEqual(policyFor(policy, 'unknown_tool'), { strategy: 'auto', allowOmega: true, maxLength: 2000 });
+    });
+
+    it('should prefer exact tool names over patterns', () => {
+      const policy = { tools: { 'read_*': { strategy: 'passthrough' }, read_messages: { maxLength: 50 } } };
+      assert.deepStrictEqual(policyFor(policy, 'read_messages'), { strategy: 'auto', allowOmega: true, maxLength: 50 });
+      assert.strictEqual(policyFor(policy, 'read_logs').strategy, 'passthrough');
+    });
+
+    it('should report invalid rules', () => {
+      const { valid, errors } = validatePolicy({
+        tools: { a: { strategy: 'zip' }, b: { maxLength: -1 }, c: { deny: ['nope'] }, d: { color: 'red' } }
+      });
+      assert.strictEqual(valid, false);
+      assert.deepStrictEqual(errors.map(e => e.split(':')[0]), ['tools.a.strategy', 'tools.b.maxLength', 'tools.c.deny', 'tools.d.color']);
+    });
+  });
+
+  describe('compressMCPResponse with a policy', () => {
+    const policy = loadPolicy(POLICY_FILE);
+
+    it('should drop the noise fields and keep the messages', () => {
+      const result = compressMCPResponse(MESSAGES, 'gpt-4o', policyFor(policy, 'read_messages'));
+      const compressed = JSON.parse(result.compressed);
+      assert.strictEqual(compressed.pollingTip, undefined);
+      assert.strictEqual(compressed.sessionRule, undefined);
+      assert.strictEqual(compressed.count, 2);
+      assert.ok(result.compressed.includes('Deploy is green'));
+      assert.ok(result.removedFields.includes('$.agentReminder'));
+      assert.match(result.rationale, /fields removed by policy/);
+    });
+
+    it('should leave passthrough tools untouched', () => {
+      const diff = '--- a/x.js\n+++ b/x.js\n@@ -1 +1 @@\n-const status = "error";\n+const status = "success";\n'.repeat(40);
+      const result = compressMCPResponse(diff, 'qwen2.5:3b', policyFor(policy, 'get_diff'));
+      assert.strictEqual(result.strategy, 'passthrough');
+      assert.strictEqual(result.compressed, diff);
+    });
+
+    it('should not use Omega when the policy forbids it', () => {
+      const response = { status: 'success', results: ['completed', 'pending'] };
+      const result = compressMCPResponse(response, 'gpt-4o', { allowOmega: false });
+      assert.ok(result.candidates.every(c => c.strategy !== 'omega'));
+    });
+
+    it('should use a forced strategy', () => {
+      const result = compressMCPResponse({ status: 'success', note: null }, 'gpt-4o', { strategy: 'minified' });
+      assert.strictEqual(result.strategy, 'minified');
+      assert.strictEqual(result.compressed, '{"status":"success","note":null}');
+    });
+  });
+});
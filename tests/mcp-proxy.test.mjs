@@ -0,0 +1,144 @@
+/**
+ * Tests for the stdio MCP proxy
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { shouldCompressTool, rewriteToolResult, parseArgs } from '../lib/mcp-proxy.mjs';
+
+const PROXY = fileURLToPath(new URL('../lib/mcp-proxy.mjs', import.meta.url));
+const FAKE_SERVER = fileURLToPath(new URL('./fixtures/fake-mcp-server.mjs', import.meta.url));
+
+// Run the proxy in front of the fake server, send `requests`, collect replies and stderr
+function runProxy(flags, requests) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [PROXY, ...flags, '--', process.execPath, FAKE_SERVER]);
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => { child.kill(); reject(new Error('proxy timed out')); }, 10000);
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('close', code => {
+      clearTimeout(timer);
+      const replies = stdout.split('\n').filter(Boolean).map(line => JSON.parse(line));
+      resolve({ code, replies, stderr });
+    });
+    child.stdin.end(requests.map(r => JSON.stringify({ jsonrpc: '2.0', ...r })).join('\n') + '\n');
+  });
+}
+
+describe('MCP Proxy', () => {
+  describe('shouldCompressTool', () => {
+    it('should compress every tool by default', () => {
+      assert.strictEqual(shouldCompressTool('search'), true);
+    });
+
+    it('should honour include and exclude lists', () => {
+      assert.strictEqual(shouldCompressTool('search', { include: ['list'] }), false);
+      assert.strictEqual(shouldCompressTool('list', { include: ['list'], exclude: ['list'] }), false);
+      assert.strictEqual(shouldCompressTool('list', { exclude: ['search'] }), true);
+    });
+  });
+
+  describe('rewriteToolResult', () => {
+    const items = Array.from({ length: 8 }, (_, id) => ({ id, description: null, labels: [], _meta: {} }));
+    const payload = JSON.stringify({ status: 'success', items }, null, 2);
+
+    it('should compress text content and explain abbreviated keys', () => {
+      const { result, stats } = rewriteToolResult({ content: [{ type: 'text', text: payload }] }, 'gpt-4o');
+      assert.deepStrictEqual(JSON.parse(result.content[0].text), { st: 'success', items: items.map(({ id }) => ({ id })) });
+      assert.deepStrictEqual(result.content[1], { type: 'text', text: 'Legend: st=status' });
+      assert.ok(stats.tokensAfter < stats.tokensBefore);
+    });
+
+    it('should leave errors and non-text content alone', () => {
+      const error = { content: [{ type: 'text', text: payload }], isError: true };
+      assert.strictEqual(rewriteToolResult(error, 'gpt-4o').result, error);
+      const image = { content: [{ type: 'image', data: 'AAAA', mimeType: 'image/png' }] };
+      assert.deepStrictEqual(rewriteToolResult(image, 'gpt-4o'), { result: image, stats: null });
+    });
+  });
+
+  describe('parseArgs', () => {
+    it('should split proxy flags from the upstream command', () => {
+      assert.deepStrictEqual(parseArgs(['--model', 'qwen2.5:3b', '--exclude', 'a,b', '--', 'npx', 'server']), {
+        command: 'npx', args: ['server'], targetModel: 'qwen2.5:3b', exclude: ['a', 'b']
+      });
+    });
+
+    it('should require an upstream command', () => {
+      assert.throws(() => parseArgs(['--model', 'gpt-4o']), /Usage/);
+    });
+  });
+
+  describe('stdio proxy', () => {
+    it('should forward requests and compress tool results', async () => {
+      const { code, replies, stderr } = await runProxy(['--model', 'gpt-4o', '--exclude', 'echo'], [
+        { id: 1, method: 'initialize', params: {} },
+        { method: 'notifications/initialized' },
+        { id: 2, method: 'tools/list' },
+        { id: 3, method: 'tools/call', params: { name: 'list_issues', arguments: {} } },
+        { id: 'four', method: 'tools/call', params: { name: 'echo', arguments: { text: '{ "status": "success" }' } } }
+      ]);
+      assert.strictEqual(code, 0);
+      assert.deepStrictEqual(replies.map(r => r.id), [1, 2, 3, 'four']);
+      assert.strictEqual(replies[0].result.serverInfo.name, 'fake');
+      assert.deepStrictEqual(replies[1].result.tools.map(t => t.name), ['list_issues', 'echo']);
+
+      const issues = JSON.parse(replies[2].result.content[0].text);
+      assert.strictEqual(issues.items[0]._meta, undefined);
+      assert.strictEqual(issues.total_count, 30);
+
+      assert.strictEqual(replies[3].result.content[0].text, '{ "status": "success" }');
+      assert.match(stderr, /list_issues: \w+ \d+ → \d+ tokens \(\d+% saved\)/);
+      assert.match(stderr, /echo: passed through/);
+      assert.match(stderr, /1\/2 tool results compressed/);
+    });
+
+    it('should not truncate results unless a limit is set', async () => {
+      const call = { id: 1, method: 'tools/call', params: { name: 'list_issues', arguments: {} } };
+      const { replies } = await runProxy([], [call]);
+      const text = replies[0].result.content[0].text;
+      assert.ok(text.length > 1000, 'longer than the compressMCPResponse default');
+      const issues = JSON.parse(text);
+      assert.deepStrictEqual(issues.items.map(issue => issue.number), Array.from({ length: 30 }, (_, i) => i + 1));
+
+      const limited = await runProxy(['--max-length', '500'], [call]);
+      assert.ok(limited.replies[0].result.content[0].text.length <= 500);
+    });
+
+    it('should forget tool calls that end in a JSON-RPC error', async () => {
+      const { replies, stderr } = await runProxy([], [
+        { id: 7, method: 'tools/call', params: { name: 'missing_tool', arguments: {} } },
+        { id: 7, method: 'tools/list' }
+      ]);
+      assert.strictEqual(replies[0].error.code, -32601);
+      assert.deepStrictEqual(replies[1].result.tools.map(t => t.name), ['list_issues', 'echo']);
+      assert.match(stderr, /0\/0 tool results compressed/);
+    });
+
+    it('should apply per-tool policy rules', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'omega-policy-'));
+      const policyFile = join(dir, 'policy.json');
+      writeFileSync(policyFile, JSON.stringify({
+        tools: { echo: { strategy: 'passthrough' }, 'list_*': { deny: ['$.items[*].number'], maxLength: 100000 } }
+      }));
+      const { code, replies, stderr } = await runProxy(['--policy', policyFile], [
+        { id: 1, method: 'tools/call', params: { name: 'list_issues', arguments: {} } },
+        { id: 2, method: 'tools/call', params: { name: 'echo', arguments: { text: '{ "status": "success" }' } } }
+      ]);
+      assert.strictEqual(code, 0);
+      const issues = JSON.parse(replies[0].result.content[0].text);
+      assert.strictEqual(issues.items.length, 30);
+      assert.ok(issues.items.every(issue => issue.number === undefined && issue.title));
+      assert.strictEqual(replies[1].result.content[0].text, '{ "status": "success" }');
+      assert.match(stderr, /echo: passed through/);
+    });
+  });
+});
@@ -4,21 +4,60 @@
 
 import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { existsSync, rmSync, readFileSync } from 'fs';
+import { existsSync, rmSync, readFileSync, readdirSync, appendFileSync, writeFileSync, utimesSync, renameSync } from 'fs';
+import { hostname } from 'os';
 import { join } from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
 
 import {
   initStreamDir,
   streamMessage,
   streamStatus,
   streamClaim,
+  getClaims,
+  tryClaim,
+  releaseClaim,
   readStream,
+  followStream,
+  verifyStream,
+  withStreamLock,
+  MAX_LINE_BYTES,
   formatIntelliJCommand,
+  encodeLine,
+  decodeLine,
   MESSAGE_TYPES
 } from '../lib/omega-stream.mjs';
 
 const TEST_CHANNEL = 'test-channel';
 const STREAM_DIR = '.omega-stream';
+const WRITER = fileURLToPath(new URL('./fixtures/stream-writer.mjs', import.meta.url));
+const LOCK_TAKER = fileURLToPath(new URL('./fixtures/lock-taker.mjs', import.meta.url));
+
+// Deterministic generator for round-trip properties (mulberry32)
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Resolve once check() holds, polling every 10ms
+async function waitFor(check, timeout = 5000) {
+  for (const deadline = Date.now() + timeout; !check();) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Text biased toward the characters the line format cares about
+const ALPHABET = ['|', '}', '{', '\\', '\n', '\r', ':', 'Ω', '核', '✅', 'a', 'b', ' ', 'n', 'r', '😀'];
+function randomText(next, maxLength = 24) {
+  const length = Math.floor(next() * maxLength);
+  return Array.from({ length }, () => ALPHABET[Math.floor(next() * ALPHABET.length)]).join('');
+}
 
 describe('IntelliJ Stream', () => {
   beforeEach(() => {
@@ -109,6 +148,360 @@ describe('IntelliJ Stream', () => {
     });
   });
 
+  describe('line grammar', () => {
+    it('should escape separators, braces, backslashes and line breaks', () => {
+      const line = encodeLine({ t: 'cht', m: 'a|b}c\\d\ne\rf' });
+      assert.strictEqual(line, 'Ω{t:cht|m:a\\|b\\}c\\\\d\\ne\\rf}');
+      assert.deepStrictEqual(decodeLine(line), { t: 'cht', m: 'a|b}c\\d\ne\rf' });
+    });
+
+    it('should keep colons and opening braces in values as they are', () => {
+      const line = encodeLine({ ts: '21:12:42', m: 'Ω{x:1}' });
+      assert.strictEqual(line, 'Ω{ts:21:12:42|m:Ω{x:1\\}}');
+      assert.deepStrictEqual(decodeLine(line), { ts: '21:12:42', m: 'Ω{x:1}' });
+    });
+
+    it('should round-trip random fields', () => {
+      const next = random(42);
+      for (let n = 0; n < 500; n++) {
+        const fields = {};
+        const count = 1 + Math.floor(next() * 5);
+        for (let k = 0; k < count; k++) fields[`f${k}`] = randomText(next);
+        const line = encodeLine(fields);
+        assert.ok(!/[\n\r]/.test(line), 'one physical line');
+        assert.deepStrictEqual(decodeLine(line), fields, line);
+      }
+    });
+
+    it('should reject lines outside the grammar', () => {
+      const cases = {
+        'ts:1|m:x': /column 1: expected "Ω\{"/,
+        'Ω{m:x': /missing closing "\}"/,
+        'Ω{m:x}y': /text after closing "\}"/,
+        'Ω{m:x|m:y}': /duplicate field "m"/,
+        'Ω{m:a\\qb}': /invalid escape "\\q"/,
+        'Ω{m:a\\': /invalid escape/,
+        'Ω{:x}': /expected a field name/,
+        'Ω{m x}': /expected a field name/,
+        'Ω{}': /expected a field name/
+      };
+      for (const [line, error] of Object.entries(cases)) {
+        assert.throws(() => decodeLine(line), error, line);
+      }
+    });
+
+    it('should refuse invalid field names and empty lines', () => {
+      assert.throws(() => encodeLine({ 'a|b': 'x' }), /Invalid stream field name/);
+      assert.throws(() => encodeLine({ m: undefined }), /at least one field/);
+    });
+
+    it('should stream messages containing separators intact', () => {
+      const message = 'Status: done | next }\nsecond line';
+      streamMessage('test-agent', message, { channel: TEST_CHANNEL, compress: false });
+      const stream = readStream(TEST_CHANNEL);
+      assert.strictEqual(stream.count, 1);
+      assert.strictEqual(stream.messages[0].message, message);
+      assert.deepStrictEqual(stream.malformed, []);
+    });
+
+    it('should report malformed lines instead of parsing them', () => {
+      streamMessage('test-agent', 'before', { channel: TEST_CHANNEL, compress: false });
+      appendFileSync(join(STREAM_DIR, `${TEST_CHANNEL}.log`), 'Ω{ts:1|m:broken\ngarbage\n');
+      streamMessage('test-agent', 'after', { channel: TEST_CHANNEL, compress: false });
+
+      const stream = readStream(TEST_CHANNEL);
+      assert.deepStrictEqual(stream.messages.map(m => m.message), ['before', 'after']);
+      assert.deepStrictEqual(stream.malformed.map(m => m.line), [2, 3]);
+      assert.match(stream.malformed[0].error, /missing closing/);
+      assert.match(stream.malformed[1].error, /Not an Omega or legacy stream line/);
+    });
+  });
+
+  describe('sequence numbers and timestamps', () => {
+    it('should number entries per channel across message types', () => {
+      const a = streamMessage('test-agent', 'one', { channel: TEST_CHANNEL });
+      const b = streamStatus('test-agent', 'active', 'auth', 10, { channel: TEST_CHANNEL });
+      const c = streamClaim('test-agent', 'schema.ts', 'claim', { channel: TEST_CHANNEL });
+
+      assert.deepStrictEqual([a.seq, b.seq, c.seq], [1, 2, 3]);
+      assert.deepStrictEqual(readStream(TEST_CHANNEL).messages.map(m => m.seq), [1, 2, 3]);
+      assert.strictEqual(readStream(TEST_CHANNEL).lastSeq, 3);
+    });
+
+    it('should write a full ISO timestamp by default', () => {
+      const before = Date.now();
+      const result = streamMessage('test-agent', 'hi', { channel: TEST_CHANNEL });
+      const [message] = readStream(TEST_CHANNEL).messages;
+
+      assert.match(result.at, /^\d{4}-\d\d-\d\dT\d\d:\d\d:\d\d\.\d{3}Z$/);
+      assert.strictEqual(message.fields.at, result.at);
+      assert.ok(message.time >= before && message.time <= Date.now());
+    });
+
+    it('should write epoch milliseconds or no timestamp on request', () => {
+      const epoch = streamMessage('test-agent', 'a', { channel: TEST_CHANNEL, timestamp: 'epoch' });
+      const none = streamMessage('test-agent', 'b', { channel: TEST_CHANNEL, timestamp: 'none' });
+      const [first, second] = readStream(TEST_CHANNEL).messages;
+
+      assert.match(epoch.at, /^\d+$/);
+      assert.strictEqual(first.time, Number(epoch.at));
+      assert.strictEqual(none.at, undefined);
+      assert.strictEqual(second.fields.at, undefined);
+      assert.strictEqual(second.seq, 2);
+    });
+
+    it('should refuse an unknown timestamp format', () => {
+      assert.throws(() => streamMessage('test-agent', 'x', { channel: TEST_CHANNEL, timestamp: 'unix' }),
+        /Unknown timestamp format: unix/);
+      assert.ok(!existsSync(join(STREAM_DIR, `${TEST_CHANNEL}.log`)));
+    });
+
+    it('should return only entries after sinceSeq', () => {
+      for (const text of ['a', 'b', 'c', 'd']) streamMessage('test-agent', text, { channel: TEST_CHANNEL, compress: false });
+
+      const stream = readStream(TEST_CHANNEL, 50, { sinceSeq: 2 });
+      assert.deepStrictEqual(stream.messages.map(m => m.message), ['c', 'd']);
+      assert.strictEqual(stream.lastSeq, 4);
+      assert.strictEqual(readStream(TEST_CHANNEL, 1, { sinceSeq: 1 }).messages[0].message, 'd');
+      assert.strictEqual(readStream(TEST_CHANNEL, 50, { sinceSeq: 4 }).count, 0);
+    });
+
+    it('should return only entries at or after sinceTime', () => {
+      const file = join(STREAM_DIR, `${TEST_CHANNEL}.log`);
+      appendFileSync(file, [
+        'Ω{n:1|ts:09:00:00|at:2026-01-01T09:00:00.000Z|m:old}',
+        'Ω{n:2|ts:10:00:00|at:1767261600000|m:epoch}',
+        'Ω{n:3|ts:11:00:00|m:undated}',
+        'Ω{n:4|ts:12:00:00|at:2026-01-01T12:00:00.000Z|m:new}'
+      ].join('\n') + '\n');
+
+      const since = readStream(TEST_CHANNEL, 50, { sinceTime: '2026-01-01T10:00:00Z' });
+      assert.deepStrictEqual(since.messages.map(m => m.message), ['epoch', 'new']);
+      assert.deepStrictEqual(readStream(TEST_CHANNEL, 50, { sinceTime: new Date('2026-01-01T11:00:00Z') })
+        .messages.map(m => m.message), ['new']);
+      assert.throws(() => readStream(TEST_CHANNEL, 50, { sinceTime: 'yesterday' }), /Invalid sinceTime/);
+    });
+
+    it('should continue the sequence after unnumbered lines', () => {
+      const file = join(STREAM_DIR, `${TEST_CHANNEL}.log`);
+      appendFileSync(file, 'Ω{n:7|ts:09:00:00|m:numbered}\nΩ{ts:09:00:01|m:old}\n[09:00:02] agent: legacy\n');
+
+      assert.strictEqual(streamMessage('test-agent', 'next', { channel: TEST_CHANNEL }).seq, 8);
+      appendFileSync(file, 'x'.repeat(10000) + '\n');
+      assert.strictEqual(streamMessage('test-agent', 'after', { channel: TEST_CHANNEL }).seq, 9);
+    });
+  });
+
+  describe('concurrent writers', () => {
+    const logFile = () => join(STREAM_DIR, `${TEST_CHANNEL}.log`);
+
+    const runFixture = (name, fixture, args) => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, [fixture, ...args.map(String)], { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => (code === 0 ? resolve() : reject(new Error(`${name} exited ${code}: ${stderr}`))));
+    });
+    const runWriter = (agent, count, size) => runFixture(agent, WRITER, [TEST_CHANNEL, agent, count, size]);
+
+    it('should keep lines whole and numbered with many writer processes', { timeout: 60000 }, async () => {
+      const writers = ['w-a', 'w-b', 'w-c', 'w-d', 'w-e', 'w-f'];
+      await Promise.all(writers.map(agent => runWriter(agent, 20, 3000)));
+
+      const check = verifyStream(TEST_CHANNEL);
+      assert.deepStrictEqual(check.problems, []);
+      assert.strictEqual(check.valid, true);
+      assert.strictEqual(check.entries, 120);
+      assert.strictEqual(check.lastSeq, 120);
+
+      const { messages } = readStream(TEST_CHANNEL, 200);
+      for (const agent of writers) {
+        const own = messages.filter(m => m.author === agent).map(m => m.message);
+        assert.strictEqual(own.length, 20, agent);
+        own.forEach((message, i) => assert.strictEqual(message, `${agent}#${i}:` + agent.slice(-1).repeat(3000)));
+      }
+      assert.ok(!existsSync(`${logFile()}.lock`), 'lock released');
+    });
+
+    it('should detect torn and interleaved lines', () => {
+      streamMessage('test-agent', 'one', { channel: TEST_CHANNEL });
+      const second = encodeLine({ n: 2, m: 'two' });
+      const third = encodeLine({ n: 3, m: 'three' });
+      // The second write cut into the middle of the third
+      appendFileSync(logFile(), `${third.slice(0, 6)}${second}\n${third.slice(6)}\n${encodeLine({ n: 3, m: 'again' })}\nΩ{n:5|m:tail`);
+
+      const check = verifyStream(TEST_CHANNEL);
+      assert.strictEqual(check.valid, false);
+      assert.deepStrictEqual(check.problems.map(p => p.line), [2, 3, 4, 5, 5]);
+      assert.match(check.problems[0].error, /Malformed stream line/);
+      assert.match(check.problems[1].error, /Not an Omega or legacy stream line/);
+      assert.match(check.problems[2].error, /Sequence jumps from 1 to 3/);
+      assert.ok(check.problems.some(p => /no newline/.test(p.error)));
+    });
+
+    it('should accept a clean file, legacy lines and unnumbered entries', () => {
+      appendFileSync(logFile(), '[09:00:00] agent: legacy\nΩ{ts:09:00:01|m:old}\n');
+      streamMessage('test-agent', 'new', { channel: TEST_CHANNEL });
+      const check = verifyStream(TEST_CHANNEL);
+      assert.deepStrictEqual(check, { valid: true, lines: 3, entries: 2, lastSeq: 1, problems: [] });
+      assert.strictEqual(verifyStream('non-existent-channel').valid, true);
+    });
+
+    it('should refuse lines over MAX_LINE_BYTES without writing them', () => {
+      assert.throws(() => streamMessage('test-agent', 'x'.repeat(MAX_LINE_BYTES), { channel: TEST_CHANNEL, compress: false }),
+        /over the 4096-byte limit/);
+      assert.ok(!existsSync(logFile()) || readFileSync(logFile(), 'utf-8') === '');
+      assert.ok(!existsSync(`${logFile()}.lock`));
+    });
+
+    it('should wait for a held lock and time out', () => {
+      withStreamLock(TEST_CHANNEL, () => {
+        assert.throws(() => withStreamLock(TEST_CHANNEL, () => {}, { timeout: 50 }), /Timed out after 50ms/);
+      });
+      assert.strictEqual(withStreamLock(TEST_CHANNEL, file => file), join(initStreamDir(), `${TEST_CHANNEL}.log`));
+    });
+
+    it('should take over a lock left by a process that exited', () => {
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeFileSync(`${logFile()}.lock`, JSON.stringify({ pid, host: hostname(), at: Date.now() }));
+      assert.strictEqual(streamMessage('test-agent', 'after crash', { channel: TEST_CHANNEL }).seq, 1);
+
+      writeFileSync(`${logFile()}.lock`, JSON.stringify({ pid: process.pid, host: 'elsewhere', at: 0 }));
+      utimesSync(`${logFile()}.lock`, new Date(0), new Date(0));
+      assert.strictEqual(streamMessage('test-agent', 'after stale', { channel: TEST_CHANNEL }).seq, 2);
+    });
+
+    it('should not delete a lock it no longer holds', () => {
+      const other = JSON.stringify({ pid: process.pid, host: 'elsewhere', at: Date.now() });
+      withStreamLock(TEST_CHANNEL, file => writeFileSync(`${file}.lock`, other));
+      assert.strictEqual(readFileSync(`${logFile()}.lock`, 'utf-8'), other);
+    });
+
+    it('should let one process at a time take over a stale lock', { timeout: 60000 }, async () => {
+      const { pid } = spawnSync(process.execPath, ['-e', '']);
+      writeFileSync(`${logFile()}.lock`, JSON.stringify({ pid, host: hostname(), at: Date.now() }));
+      const takers = ['t-1', 't-2', 't-3', 't-4'];
+      await Promise.all(takers.map(name => runFixture(name, LOCK_TAKER, [TEST_CHANNEL, pid, 200])));
+
+      assert.strictEqual(streamMessage('test-agent', 'after takeovers', { channel: TEST_CHANNEL }).seq, 1);
+      assert.deepStrictEqual(readdirSync(STREAM_DIR).filter(f => f.startsWith(`${TEST_CHANNEL}.log.`)), []);
+    });
+  });
+
+  describe('followStream', () => {
+    const logFile = () => join(STREAM_DIR, `${TEST_CHANNEL}.log`);
+    const send = text => streamMessage('test-agent', text, { channel: TEST_CHANNEL, compress: false });
+    let follower;
+
+    afterEach(() => {
+      follower?.close();
+      follower = undefined;
+    });
+
+    it('should deliver only messages written after it starts', async () => {
+      send('before');
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => seen.push(m.message), { interval: 50 });
+
+      send('first');
+      send('second');
+      await waitFor(() => seen.length === 2);
+      assert.deepStrictEqual(seen, ['first', 'second']);
+    });
+
+    it('should deliver the backlog after fromSeq first', async () => {
+      for (const text of ['a', 'b', 'c']) send(text);
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => seen.push([m.seq, m.message]), { fromSeq: 1, interval: 50 });
+      assert.deepStrictEqual(seen, [[2, 'b'], [3, 'c']]);
+
+      appendFileSync(logFile(), 'Ω{ts:09:00:00|m:unnumbered}\n');
+      send('d');
+      await waitFor(() => seen.length === 4);
+      assert.deepStrictEqual(seen.slice(2), [[undefined, 'unnumbered'], [4, 'd']]);
+    });
+
+    it('should wait for the newline of a line being written', async () => {
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => seen.push(m.message), { interval: 20 });
+      const line = encodeLine({ n: 1, m: 'split ✅' });
+      const bytes = Buffer.from(line + '\n');
+      appendFileSync(logFile(), bytes.subarray(0, bytes.length - 6));   // cuts the ✅ in half
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.deepStrictEqual(seen, []);
+
+      appendFileSync(logFile(), bytes.subarray(bytes.length - 6));
+      await waitFor(() => seen.length === 1);
+      assert.deepStrictEqual(seen, ['split ✅']);
+    });
+
+    it('should start over after truncation and rotation', async () => {
+      send('old');
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => seen.push([m.seq, m.message]), { interval: 50 });
+
+      writeFileSync(logFile(), '');
+      send('after truncate');
+      await waitFor(() => seen.length === 1);
+
+      renameSync(logFile(), `${logFile()}.1`);
+      try {
+        send('after rotate');
+        await waitFor(() => seen.length === 2);
+        appendFileSync(`${logFile()}.1`, encodeLine({ n: 9, m: 'rotated away' }) + '\n');
+        send('next');
+        await waitFor(() => seen.length === 3);
+      } finally {
+        rmSync(`${logFile()}.1`, { force: true });
+      }
+      assert.deepStrictEqual(seen, [[1, 'after truncate'], [1, 'after rotate'], [2, 'next']]);
+    });
+
+    it('should report malformed lines with their byte offset', async () => {
+      send('x');
+      const size = readFileSync(logFile()).length;
+      const bad = [];
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => seen.push(m.message), { interval: 50, onMalformed: m => bad.push(m) });
+
+      appendFileSync(logFile(), 'garbage\n');
+      send('ok');
+      await waitFor(() => seen.length === 1);
+      assert.deepStrictEqual(bad, [{ offset: size, raw: 'garbage', error: 'Not an Omega or legacy stream line' }]);
+    });
+
+    it('should log callback errors and keep following by default', async t => {
+      const logged = t.mock.method(console, 'error', () => {});
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => {
+        if (m.message === 'boom') throw new Error('handler failed');
+        seen.push(m.message);
+      }, { interval: 50, onMalformed: ({ raw }) => { throw new Error(`cannot handle ${raw}`); } });
+
+      appendFileSync(logFile(), 'garbage\n');
+      send('boom');
+      send('after');
+      await waitFor(() => seen.length === 1);
+      assert.deepStrictEqual(seen, ['after']);
+      assert.deepStrictEqual(logged.mock.calls.map(c => c.arguments[0]), [
+        `[omega-stream] followStream ${TEST_CHANNEL}: cannot handle garbage`,
+        `[omega-stream] followStream ${TEST_CHANNEL}: handler failed`
+      ]);
+    });
+
+    it('should stop delivering once closed', async () => {
+      const seen = [];
+      follower = followStream(TEST_CHANNEL, m => seen.push(m.message), { interval: 20 });
+      send('one');
+      await waitFor(() => seen.length === 1);
+
+      follower.close();
+      send('two');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.deepStrictEqual(seen, ['one']);
+    });
+  });
+
   describe('formatIntelliJCommand', () => {
     it('should format command for IntelliJ MCP', () => {
       const cmd = formatIntelliJCommand('npm test');
@@ -192,6 +585,118 @@ describe('IntelliJ Stream', () => {
     });
   });
 
+  describe('claim registry', () => {
+    const logFile = () => join(STREAM_DIR, `${TEST_CHANNEL}.log`);
+    const options = { channel: TEST_CHANNEL };
+
+    it('should give a free resource to the first agent and refuse others', () => {
+      const first = tryClaim('claude-alice', 'schema.ts', options);
+      const second = tryClaim('cursor-bob', 'schema.ts', options);
+
+      assert.strictEqual(first.claimed, true);
+      assert.strictEqual(first.renewed, false);
+      assert.strictEqual(second.claimed, false);
+      assert.strictEqual(second.holder.owner, 'claude-alice');
+      assert.strictEqual(second.holder.from, 'alice');
+      assert.strictEqual(readStream(TEST_CHANNEL).count, 1, 'a refused claim is not written');
+
+      const { claims, conflicts } = getClaims(TEST_CHANNEL);
+      assert.deepStrictEqual(claims.map(c => [c.resource, c.owner, c.seq]), [['schema.ts', 'claude-alice', 1]]);
+      assert.deepStrictEqual(conflicts, []);
+    });
+
+    it('should tell apart agents whose abbreviated IDs match', () => {
+      assert.strictEqual(tryClaim('worker-alpha-1', 'schema.ts', options).claimed, true);
+      const second = tryClaim('worker-alpha-2', 'schema.ts', options);
+      assert.strictEqual(second.claimed, false);
+      assert.strictEqual(second.holder.owner, 'worker-alpha-1');
+      assert.strictEqual(releaseClaim('worker-alpha-2', 'schema.ts', options).released, false);
+
+      streamClaim('worker-alpha-2', 'schema.ts', 'claim', options);
+      const { claims, conflicts } = getClaims(TEST_CHANNEL);
+      assert.deepStrictEqual(claims.map(c => [c.owner, c.from]), [['worker-alpha-1', 'worker-a']]);
+      assert.deepStrictEqual(conflicts.map(c => [c.agent, c.holder]), [['worker-alpha-2', 'worker-alpha-1']]);
+      assert.strictEqual(releaseClaim('worker-alpha-1', 'schema.ts', options).released, true);
+    });
+
+    it('should renew a lease for its holder and keep since', () => {
+      const first = tryClaim('alice', 'schema.ts', { ...options, ttl: 60 });
+      const renewal = tryClaim('alice', 'schema.ts', { ...options, ttl: 600 });
+
+      assert.strictEqual(renewal.renewed, true);
+      assert.ok(Date.parse(renewal.expiresAt) - Date.parse(first.expiresAt) >= 540000);
+      const [claim] = getClaims(TEST_CHANNEL).claims;
+      assert.strictEqual(claim.expiresAt, renewal.expiresAt);
+      assert.strictEqual(claim.since, readStream(TEST_CHANNEL).messages[0].fields.at);
+    });
+
+    it('should release only for the holder', () => {
+      tryClaim('alice', 'schema.ts', options);
+
+      const refused = releaseClaim('bob', 'schema.ts', options);
+      assert.strictEqual(refused.released, false);
+      assert.strictEqual(refused.holder.owner, 'alice');
+      assert.deepStrictEqual(releaseClaim('bob', 'other.ts', options), { released: false, resource: 'other.ts', holder: null });
+
+      assert.strictEqual(releaseClaim('alice', 'schema.ts', options).released, true);
+      assert.deepStrictEqual(getClaims(TEST_CHANNEL).claims, []);
+      assert.strictEqual(tryClaim('bob', 'schema.ts', options).claimed, true);
+    });
+
+    it('should expire leases after their ttl', () => {
+      appendFileSync(logFile(), [
+        'Ω{n:1|at:2026-01-01T10:00:00.000Z|from:alice|t:clm|w:a.ts|act:⊳|ttl:60}',
+        'Ω{n:2|at:2026-01-01T10:00:30.000Z|from:bob|t:clm|w:a.ts|act:⊳|ttl:60}',
+        'Ω{n:3|at:2026-01-01T10:02:00.000Z|from:bob|t:clm|w:b.ts|act:⊳|ttl:60}',
+        'Ω{n:4|at:2026-01-01T10:02:00.000Z|from:carol|t:clm|w:a.ts|act:⊳}'
+      ].join('\n') + '\n');
+
+      const early = getClaims(TEST_CHANNEL, { now: '2026-01-01T10:00:45Z' });
+      assert.deepStrictEqual(early.claims.map(c => [c.resource, c.owner, c.expiresAt]),
+        [['a.ts', 'alice', '2026-01-01T10:01:00.000Z']]);
+      assert.deepStrictEqual(early.conflicts, [{ resource: 'a.ts', agent: 'bob', action: 'claim', holder: 'alice', seq: 2 }]);
+
+      // alice's lease ran out before carol claimed; carol's claim has no ttl
+      const late = getClaims(TEST_CHANNEL, { now: '2026-01-02T00:00:00Z' });
+      assert.deepStrictEqual(late.claims.map(c => [c.resource, c.owner, c.expiresAt]), [['a.ts', 'carol', null]]);
+    });
+
+    it('should flag conflicting announcements written without tryClaim', () => {
+      streamClaim('alice', 'schema.ts', 'claim', options);
+      streamClaim('bob', 'schema.ts', 'claim', options);
+      streamClaim('bob', 'schema.ts', 'release', options);
+
+      const { claims, conflicts } = getClaims(TEST_CHANNEL);
+      assert.deepStrictEqual(claims.map(c => c.owner), ['alice']);
+      assert.deepStrictEqual(conflicts.map(c => [c.agent, c.action, c.holder, c.seq]),
+        [['bob', 'claim', 'alice', 2], ['bob', 'release', 'alice', 3]]);
+    });
+
+    it('should let exactly one of several processes claim a resource', { timeout: 60000 }, async () => {
+      const lib = new URL('../lib/omega-stream.mjs', import.meta.url).href;
+      const claim = agent => new Promise((resolve, reject) => {
+        const script = `import { tryClaim } from ${JSON.stringify(lib)};
+          console.log(JSON.stringify(tryClaim(${JSON.stringify(agent)}, 'schema.ts', { channel: ${JSON.stringify(TEST_CHANNEL)} })));`;
+        const child = spawn(process.execPath, ['--input-type=module', '-e', script], { stdio: ['ignore', 'pipe', 'inherit'] });
+        let stdout = '';
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.on('error', reject);
+        child.on('close', code => (code === 0 ? resolve(JSON.parse(stdout)) : reject(new Error(`${agent} exited ${code}`))));
+      });
+
+      const results = await Promise.all(['p-1', 'p-2', 'p-3', 'p-4'].map(claim));
+      const winners = results.filter(r => r.claimed);
+      assert.strictEqual(winners.length, 1);
+      const { claims } = getClaims(TEST_CHANNEL);
+      assert.strictEqual(claims.length, 1);
+      for (const loser of results.filter(r => !r.claimed)) assert.strictEqual(loser.holder.owner, claims[0].owner);
+    });
+
+    it('should refuse an invalid ttl', () => {
+      assert.throws(() => tryClaim('alice', 'schema.ts', { ...options, ttl: -1 }), /Invalid claim ttl/);
+    });
+  });
+
   describe('MESSAGE_TYPES', () => {
     it('should export message type constants', () => {
       assert.strictEqual(MESSAGE_TYPES.CHAT, 'cht');
@@ -0,0 +1,188 @@
+/**
+ * Tests for real token counts and byte sizes
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  countTokens, utf8Bytes, gzipBytes, measureCompression,
+  loadTokenizer, readGGUFMetadata, registerTokenizer, registerTokenizersFromList,
+  getTokenizer, listTokenizers, countTokensFor
+} from '../lib/tokenizers.mjs';
+import { calculateStats } from '../lib/prompts.js';
+import { semanticCompress } from '../lib/dictionary-compressor.mjs';
+import { shouldUseOmega } from '../lib/mcp-compressor.mjs';
+
+// Tiny byte-level BPE tokenizer.json (Qwen layout: Split + ByteLevel pre-tokenizers)
+const BYTE_LEVEL_JSON = {
+  model: {
+    type: 'BPE',
+    vocab: { h: 0, e: 1, l: 2, o: 3, 'Ġ': 4, w: 5, r: 6, d: 7, he: 8, hel: 9, hell: 10, hello: 11, 'Ġw': 12, or: 13, 'Ġwor': 14 },
+    merges: ['h e', 'he l', 'hel l', 'hell o', 'Ġ w', 'o r', 'Ġw or']
+  },
+  pre_tokenizer: {
+    type: 'Sequence',
+    pretokenizers: [
+      { type: 'Split', pattern: { Regex: "(?i:'s|'t)|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}| ?[^\\s\\p{L}\\p{N}]+|\\s+" }, behavior: 'Isolated' },
+      { type: 'ByteLevel', add_prefix_space: false, use_regex: false }
+    ]
+  }
+};
+
+// Minimal GGUF v3 header holding a SentencePiece (llama) vocabulary
+function writeGGUF(path, tokens, scores) {
+  const parts = [];
+  const u32 = n => { const b = Buffer.alloc(4); b.writeUInt32LE(n); parts.push(b); };
+  const u64 = n => { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(n)); parts.push(b); };
+  const str = s => { const b = Buffer.from(s, 'utf8'); u64(b.length); parts.push(b); };
+  const kv = (key, type, write) => { str(key); u32(type); write(); };
+
+  parts.push(Buffer.from('GGUF'));
+  u32(3);
+  u64(0);
+  u64(4);
+  kv('general.architecture', 8, () => str('llama'));
+  kv('tokenizer.ggml.model', 8, () => str('llama'));
+  kv('tokenizer.ggml.tokens', 9, () => { u32(8); u64(tokens.length); tokens.forEach(str); });
+  kv('tokenizer.ggml.scores', 9, () => {
+    u32(6); u64(scores.length);
+    for (const score of scores) { const b = Buffer.alloc(4); b.writeFloatLE(score); parts.push(b); }
+  });
+  writeFileSync(path, Buffer.concat(parts));
+}
+
+const BYTES = Array.from({ length: 256 }, (_, b) => `<0x${b.toString(16).toUpperCase().padStart(2, '0')}>`);
+const SPM_PIECES = { '▁': -1, h: -2, e: -2, l: -2, o: -2, '▁h': -3, ll: -4, '▁he': -5, '▁hell': -6, '▁hello': -7, 你: -2, 為: -2, 助: -2 };
+
+describe('Tokenizers', () => {
+  describe('countTokens', () => {
+    it('should count tokens with each encoding', () => {
+      assert.strictEqual(countTokens('hello world', 'cl100k_base'), 2);
+      assert.strictEqual(countTokens('你為助', 'cl100k_base'), 6);
+      assert.strictEqual(countTokens('你為助', 'o200k_base'), 3);
+    });
+
+    it('should default to o200k_base', () => {
+      assert.strictEqual(countTokens('你為助'), countTokens('你為助', 'o200k_base'));
+    });
+
+    it('should reject unknown encodings', () => {
+      assert.throws(() => countTokens('hi', 'p99k'), /Unknown encoding: p99k/);
+    });
+  });
+
+  describe('sizes', () => {
+    it('should count UTF-8 bytes', () => {
+      assert.strictEqual(utf8Bytes('Ω核:'), 6);
+      assert.strictEqual(utf8Bytes('abc'), 3);
+    });
+
+    it('should measure tokens and savings per encoding', () => {
+      const { originalBytes, omegaBytes, tokens } = measureCompression('hello world', '你為助');
+      assert.strictEqual(originalBytes, 11);
+      assert.strictEqual(omegaBytes, 9);
+      assert.deepStrictEqual(tokens.cl100k_base, { original: 2, omega: 6, savings: -200 });
+      assert.deepStrictEqual(tokens.o200k_base, { original: 2, omega: 3, savings: -50 });
+    });
+  });
+
+  describe('tokenizer files', () => {
+    let dir;
+    before(() => {
+      dir = mkdtempSync(join(tmpdir(), 'omega-tokenizers-'));
+      writeFileSync(join(dir, 'tokenizer.json'), JSON.stringify(BYTE_LEVEL_JSON));
+      writeGGUF(join(dir, 'tiny.gguf'), ['<unk>', ...BYTES, ...Object.keys(SPM_PIECES)],
+        [0, ...BYTES.map(() => 0), ...Object.values(SPM_PIECES)]);
+    });
+
+    it('should apply BPE merges from a byte-level tokenizer.json', () => {
+      const tokenizer = loadTokenizer(join(dir, 'tokenizer.json'));
+      assert.strictEqual(tokenizer.type, 'byte-bpe');
+      assert.deepStrictEqual(tokenizer.tokenize('hello world'), ['hello', 'Ġwor', 'l', 'd']);
+    });
+
+    it('should fall back to one token per byte for unknown text', () => {
+      const tokenizer = loadTokenizer(join(dir, 'tokenizer.json'));
+      assert.strictEqual(tokenizer.countTokens('你'), 3);
+    });
+
+    it('should read the vocabulary from a GGUF header', () => {
+      const metadata = readGGUFMetadata(join(dir, 'tiny.gguf'));
+      assert.strictEqual(metadata['general.architecture'], 'llama');
+      assert.strictEqual(metadata['tokenizer.ggml.tokens'].length, 257 + Object.keys(SPM_PIECES).length);
+    });
+
+    it('should tokenize SentencePiece vocabularies by score', () => {
+      const tokenizer = loadTokenizer(join(dir, 'tiny.gguf'));
+      assert.strictEqual(tokenizer.type, 'spm');
+      assert.deepStrictEqual(tokenizer.tokenize('hello'), ['▁hello']);
+      assert.deepStrictEqual(tokenizer.tokenize('你為助'), ['▁', '你', '為', '助']);
+      assert.deepStrictEqual(tokenizer.tokenize('Ω'), ['▁', '<0xCE>', '<0xA9>']);
+    });
+
+    it('should reject files that are not GGUF', () => {
+      const path = join(dir, 'bad.gguf');
+      writeFileSync(path, 'nope');
+      assert.throws(() => loadTokenizer(path), /Not a GGUF file/);
+    });
+  });
+
+  describe('registry', () => {
+    it('should have the GPT family built in', () => {
+      assert.strictEqual(countTokensFor('gpt', '你為助'), countTokens('你為助', 'o200k_base'));
+      assert.ok(listTokenizers().some(t => t.family === 'gpt' && t.builtin));
+    });
+
+    it('should reject families without a tokenizer', () => {
+      assert.throws(() => countTokensFor('grok', 'hi'), /No tokenizer registered for grok/);
+    });
+
+    it('should register tokenizers from files and objects', () => {
+      const dir = mkdtempSync(join(tmpdir(), 'omega-registry-'));
+      writeFileSync(join(dir, 'tokenizer.json'), JSON.stringify(BYTE_LEVEL_JSON));
+      const [registered] = registerTokenizersFromList(`deepseek=${join(dir, 'tokenizer.json')}`);
+      assert.strictEqual(registered.family, 'deepseek');
+      assert.strictEqual(countTokensFor('deepseek', 'hello'), 1);
+
+      registerTokenizer('qwen', { name: 'chars', countTokens: text => [...text].length });
+      assert.strictEqual(getTokenizer('qwen').name, 'chars');
+      assert.throws(() => registerTokenizer('llama', {}), /must have a countTokens/);
+    });
+
+    it('should measure registered families alongside the encodings', () => {
+      registerTokenizer('qwen', { name: 'chars', countTokens: text => [...text].length });
+      const { tokens } = measureCompression('hello world', '你為助');
+      assert.deepStrictEqual(tokens.qwen, { original: 11, omega: 3, savings: 73 });
+      assert.strictEqual(tokens.gpt, undefined);
+      assert.strictEqual(calculateStats('hello world', '你為助').tokens.qwen.omega, 3);
+    });
+
+    it('should decide shouldUseOmega by measuring the payload', () => {
+      registerTokenizer('qwen', { name: 'chars', countTokens: text => [...text].length });
+      assert.strictEqual(shouldUseOmega('qwen2.5:3b', 'status: completed'), true);
+      assert.strictEqual(shouldUseOmega('qwen2.5:3b', 'nothing to map'), false);
+      // No payload, or no tokenizer for the family: the static allowlist
+      assert.strictEqual(shouldUseOmega('qwen2.5:3b'), true);
+      assert.strictEqual(shouldUseOmega('claude-sonnet-4', 'status: completed'), false);
+    });
+  });
+
+  describe('stats', () => {
+    it('should report measured bytes from semanticCompress', () => {
+      const { omega, stats } = semanticCompress('You are a helpful assistant');
+      assert.strictEqual(stats.omegaBytes, utf8Bytes(omega));
+      assert.strictEqual(stats.gzipBytes, gzipBytes(omega));
+    });
+
+    it('should report real token counts from calculateStats', () => {
+      const stats = calculateStats('hello world', '你為助');
+      assert.strictEqual(stats.originalTokens, 2);
+      assert.strictEqual(stats.compressedTokens, 3);
+      assert.strictEqual(stats.tokens.cl100k_base.omega, 6);
+    });
+  });
+});
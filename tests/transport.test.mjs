@@ -0,0 +1,126 @@
+/**
+ * Tests for the transport layer (Layer 3)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { gzipSync, gunzipSync, brotliDecompressSync, inflateRawSync } from 'node:zlib';
+import { writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  TRANSPORTS, DEFAULT_MAX_OUTPUT_LENGTH, parseTransport, encodeTransport, decodeTransport, loadTransportDictionary
+} from '../lib/transport.mjs';
+import { trainTransportDictionary, sampleCorpus } from '../lib/transport-dictionary.mjs';
+import { semanticCompress, getDefaultDictionary } from '../lib/dictionary-compressor.mjs';
+import { encodeEnvelope, decodeEnvelope } from '../lib/envelope.mjs';
+
+const SPEC = 'You are a helpful code assistant. Always check the code before you commit. ' +
+  'Never guess when you are uncertain; ask the user first and then run the tests.';
+
+describe('Transport', () => {
+  it('should offer gzip, brotli, deflate-raw and deflate-dict', () => {
+    assert.deepStrictEqual(Object.keys(TRANSPORTS), ['gzip', 'brotli', 'deflate-raw', 'deflate-dict']);
+  });
+
+  it('should encode with standard zlib formats', () => {
+    const { omega } = semanticCompress(SPEC);
+    const decoders = { gzip: gunzipSync, brotli: brotliDecompressSync, 'deflate-raw': inflateRawSync };
+    for (const [name, decode] of Object.entries(decoders)) {
+      const { payload } = encodeTransport(omega, name);
+      assert.strictEqual(decode(Buffer.from(payload, 'base64')).toString('utf-8'), omega, name);
+    }
+  });
+
+  it('should report measured byte counts', () => {
+    const { omega } = semanticCompress(SPEC);
+    const { layers, payload, bytes, ratio } = encodeTransport(omega, ['deflate-raw']);
+    assert.deepStrictEqual(layers, ['deflate-raw']);
+    assert.strictEqual(bytes.original, Buffer.byteLength(omega, 'utf-8'));
+    assert.strictEqual(bytes.encoded, Buffer.from(payload, 'base64').length);
+    assert.strictEqual(ratio, Math.round(bytes.original / bytes.encoded * 100) / 100);
+  });
+
+  it('should round-trip chained codecs in reverse order', () => {
+    const { payload } = encodeTransport(SPEC, 'brotli,gzip');
+    assert.strictEqual(decodeTransport(payload, ['brotli', 'gzip']), SPEC);
+    assert.throws(() => decodeTransport(payload, ['gzip', 'brotli']), /Cannot decode brotli transport/);
+  });
+
+  it('should refuse payloads that decode past maxOutputLength', () => {
+    const bomb = gzipSync(Buffer.alloc(DEFAULT_MAX_OUTPUT_LENGTH + 1)).toString('base64');
+    assert.ok(bomb.length < 20000, 'a few KB on the wire');
+    assert.throws(() => decodeTransport(bomb, ['gzip']),
+      new RegExp(`Cannot decode gzip transport: output exceeds ${DEFAULT_MAX_OUTPUT_LENGTH} bytes`));
+
+    for (const name of Object.keys(TRANSPORTS)) {
+      const { payload } = encodeTransport(SPEC, name);
+      assert.throws(() => decodeTransport(payload, name, { maxOutputLength: 16 }), /output exceeds 16 bytes/, name);
+      assert.strictEqual(decodeTransport(payload, name, { maxOutputLength: SPEC.length }), SPEC, name);
+    }
+
+    const envelope = encodeEnvelope(semanticCompress(SPEC), { layers: ['dict', 'brotli'] });
+    assert.throws(() => decodeEnvelope(envelope, { maxOutputLength: 16 }), /output exceeds 16 bytes/);
+  });
+
+  it('should reject unknown codecs', () => {
+    assert.deepStrictEqual(parseTransport(' gzip , brotli '), ['gzip', 'brotli']);
+    assert.throws(() => parseTransport('zstd'), /Unknown transport: zstd/);
+  });
+
+  describe('transport dictionary', () => {
+    it('should be trained on the current dictionary.json', () => {
+      const { trainedOn, bytes } = loadTransportDictionary();
+      assert.deepStrictEqual(trainedOn.dictionary, getDefaultDictionary().fingerprint);
+      assert.ok(bytes.length > 0);
+    });
+
+    it('should shrink short kernels that plain codecs grow', () => {
+      for (const message of ['Agent finished the deploy, waiting for review of the pull request.',
+        'Error handling: never swallow exceptions; always log the error and notify the user.']) {
+        const { omega } = semanticCompress(message);
+        const plain = encodeTransport(omega, 'deflate-raw');
+        const primed = encodeTransport(omega, 'deflate-dict');
+        assert.ok(plain.bytes.encoded >= plain.bytes.original, message);
+        assert.ok(primed.bytes.encoded < primed.bytes.original * 0.8, message);
+        assert.strictEqual(decodeTransport(primed.payload, 'deflate-dict', { dictionary: primed.dictionary }), omega);
+      }
+    });
+
+    it('should refuse payloads made with another dictionary', () => {
+      const other = trainTransportDictionary(['Ω核:測試·測試'], { version: '0.0.1' });
+      const otherPath = join(tmpdir(), `omega-transport-${process.pid}.json`);
+      writeFileSync(otherPath, JSON.stringify(other));
+      const dictionary = loadTransportDictionary(otherPath);
+      const { payload, dictionary: fingerprint } = encodeTransport('Ω核:你為助', 'deflate-dict', { dictionary });
+      assert.strictEqual(decodeTransport(payload, 'deflate-dict', { dictionary }), 'Ω核:你為助');
+      assert.throws(() => decodeTransport(payload, 'deflate-dict', { dictionary: fingerprint }), /Transport dictionary mismatch/);
+    });
+
+    it('should train deterministically within the size limit', () => {
+      const kernels = sampleCorpus();
+      const a = trainTransportDictionary(kernels, { size: 1024 });
+      const b = trainTransportDictionary(kernels, { size: 1024 });
+      assert.strictEqual(a.hash, b.hash);
+      assert.ok(a.size <= 1024);
+      // The kernel prefix is in every message, so it sits at the end
+      assert.ok(Buffer.from(a.data, 'base64').toString('utf-8').endsWith('Ω核:'));
+    });
+
+    it('should detect a corrupt dictionary file', () => {
+      const path = join(tmpdir(), `omega-transport-bad-${process.pid}.json`);
+      writeFileSync(path, JSON.stringify({ ...trainTransportDictionary(['Ω核:測試']), data: 'AAAA' }));
+      assert.throws(() => loadTransportDictionary(path), /is corrupt/);
+    });
+  });
+
+  it('should carry every codec through the envelope', () => {
+    const result = semanticCompress(SPEC);
+    for (const name of Object.keys(TRANSPORTS)) {
+      const envelope = encodeEnvelope(result, { layers: ['dict', name] });
+      assert.strictEqual(decodeTransport(envelope.omega, name), result.omega);
+      assert.strictEqual(decodeEnvelope(envelope).omega, result.omega);
+    }
+  });
+});